@@ -22,22 +22,46 @@ var Ratio = (function () {
      * @param {Ratio|String|Number} [numerator=0] can be a Ratio object or numeric value.
      * @param {Ratio|String|Number} [denominator=1] can be a Ratio object or numeric value.
      * @param {Boolean} [alwaysReduce] if true, then the Ratio object and the children from it will always represent the simplified form of the rational.
+     * @param {Boolean} [useBigInt=Ratio.useBigInt] if true, then the numerator and denominator are stored as BigInts so that results stay exact at any size.<br/>
+     * Passing a BigInt as the numerator or denominator also turns this on.
      * @return {Ratio} object that has a numerator and denominator, corresponding to a/b.
      * @example
     Ratio(2,4).toString() === "2/4";
     Ratio("2/4").toString() === "NaN/1" // Use Ratio.parse()!
+    Ratio(2,4,false,true).toArray(); // returns [2n, 4n]
      **/
-    var Ratio = function (numerator, denominator, alwaysReduce) {
+    var Ratio = function (numerator, denominator, alwaysReduce, useBigInt) {
         if (!(this instanceof Ratio)) {
-            return new Ratio(numerator, denominator, alwaysReduce);
+            return new Ratio(numerator, denominator, alwaysReduce, useBigInt);
         }
         this.divSign = "/";
         this.alwaysReduce = !!alwaysReduce;
-        var arr = Ratio.getStandardRatioArray(numerator, denominator, this.alwaysReduce);
+        this.useBigInt = _hasBigInt && !!Ratio.getValueIfDefined(Ratio.useBigInt || _isBigInt(numerator) || _isBigInt(denominator), useBigInt);
+        this.strict = !!Ratio.strict;
+        var arr = Ratio.getStandardRatioArray(numerator, denominator, this.alwaysReduce, this.useBigInt);
         this._n = arr[0];
         this._d = arr[1];
+        _checkResult(this, "Ratio", denominator === undefined ? [numerator] : [numerator, denominator]);
         return this;
     };
+    // True while methods make new Ratio objects or intermediate results, since they check strict mode on their own results.
+    var _isUnchecked = false;
+    // Returns the result of `func()`, without checking the Ratios made along the way for strict mode.
+    var _unchecked = function (func) {
+        var previous = _isUnchecked;
+        _isUnchecked = true;
+        try {
+            return func();
+        } finally {
+            _isUnchecked = previous;
+        }
+    };
+    // Returns a new Ratio without checking it for strict mode.
+    var _createUnchecked = function (numerator, denominator, alwaysReduce, useBigInt) {
+        return _unchecked(function () {
+            return new Ratio(numerator, denominator, alwaysReduce, useBigInt);
+        });
+    };
     /**
      * Represents the maximum amount of precision avaiable. <br/>
      * Any value with more digits will become estimations.
@@ -64,6 +88,44 @@ var Ratio = (function () {
      * @type {Number}
      */
     Ratio.MIN_VALUE = -Math.pow(2, 53);
+    /**
+     * If true, then new Ratio objects store the numerator and denominator as BigInts, which never lose precision.<br/>
+     * Ignored when the javascript engine doesn't support BigInt.
+     *
+     * @property Ratio.useBigInt
+     * @type {Boolean}
+     * @default false
+     */
+    Ratio.useBigInt = false;
+    /**
+     * If true, then arithmetic on whole numbers that would go beyond Ratio.MAX_VALUE switches that result over to BigInts.<br/>
+     * Promoted values turn back into Numbers when `.simplify()` makes them small enough again, unless the Ratio was created with `useBigInt`.<br/>
+     * Note: `JSON.stringify()` throws a TypeError for a Ratio holding BigInts, so use `.toString()` to serialize it instead.<br/>
+     * Ignored when the javascript engine doesn't support BigInt.
+     *
+     * @property Ratio.autoPromote
+     * @type {Boolean}
+     * @default true
+     */
+    Ratio.autoPromote = true;
+    /**
+     * Represents the largest size, in bits, of a BigInt made by `.pow()` or by parsing scientific notation. <br/>
+     * Larger powers throw a RangeError, and larger numbers like "1e400000000" are parsed as floats, instead of running out of time or memory.
+     *
+     * @property Ratio.MAX_BIT_LENGTH
+     * @type {Number}
+     * @default 1048576
+     */
+    Ratio.MAX_BIT_LENGTH = Math.pow(2, 20);
+    /**
+     * Represents the deepest nesting allowed in an expression, where each parenthesis, sign and power adds a level. <br/>
+     * Deeper expressions are invalid, instead of running out of stack space.
+     *
+     * @property Ratio.MAX_EXPRESSION_DEPTH
+     * @type {Number}
+     * @default 1000
+     */
+    Ratio.MAX_EXPRESSION_DEPTH = 1000;
     /**
      * Stores complex regular expressions.
      *
@@ -76,7 +138,13 @@ var Ratio = (function () {
         cleanFormat : /^\d+\.\d+$/,
         mixedNumbers : /(\S+)\s+(\S[\w\W]*)/,
         repeatingDecimals : /[^\.]+\.\d*(\d{2,})+(?:\1)$/,
-        repeatingNumbers : /^(\d+)(?:\1)$/
+        repeatingNumbers : /^(\d+)(?:\1)$/,
+        decimalNotation : /^\s*([+\-]?)(?=\.?\d)(\d*)(?:\.(\d*))?(?:e([+\-]?\d+))?\s*$/i,
+        percentNotation : /^\s*([+\-]?(?:\d+\.?\d*|\.\d+)(?:e[+\-]?\d+)?)\s*(%|\u2030)\s*$/i,
+        colonNotation : /^\s*([+\-]?(?:\d+\.?\d*|\.\d+))\s*(:|x|\u00d7)\s*([+\-]?(?:\d+\.?\d*|\.\d+))\s*$/i,
+        repeatingNotation : /^\s*([+\-]?)(\d*)\.(\d*)(?:\((\d+)\)|\[(\d+)\])\s*$/,
+        ellipsisNotation : /^\s*([+\-]?)(\d*)\.(\d+)(?:\.\.\.|\u2026)\s*$/,
+        expressionToken : /^\s*(?:(\d+\s+\d+\s*\/\s*\d+|\d*\.\d*(?:\(\d+\)|\[\d+\])|(?:\d+\.?\d*|\.\d+)(?:e[+\-]?\d+)?)|([a-z_$][\w$]*)|([+\-*\/\^(),]))/i
     };
     /**
      * Version number of Ratio.js
@@ -85,6 +153,90 @@ var Ratio = (function () {
      * @type String
      **/
     Ratio.VERSION = "0.4.0";
+    /**
+     * If true, then new Ratio objects are in strict mode.<br/>
+     * In strict mode, arithmetic throws a `Ratio.RatioOverflowError` when the numerator or denominator of the result leaves the range of Ratio.MIN_VALUE to Ratio.MAX_VALUE,
+     * and a `Ratio.RatioPrecisionError` when either one isn't a whole number.<br/>
+     * Ratio objects created with `useBigInt` only check for whole numbers.<br/>
+     * Strict mode can also be changed per instance with the `strict` property.
+     *
+     * @property Ratio.strict
+     * @type {Boolean}
+     * @default false
+     */
+    Ratio.strict = false;
+    /**
+     * Returns a constructor for an error about an operation. `description` can be replaced per error.<br/>
+     * Operations on a Ratio are named like "Ratio(1/2).add(1/3)" in the message, and static functions like "Ratio.solve("x = 1")".
+     */
+    var _createErrorType = function (name, description) {
+        var ErrorType = function (operation, operands, customDescription) {
+            if (!(this instanceof ErrorType)) {
+                return new ErrorType(operation, operands, customDescription);
+            }
+            var i,
+            args = [],
+            prefix = "Ratio.";
+            operands = operands || [];
+            for (i = 0; i < operands.length; i += 1) {
+                args.push(typeof operands[i] === "string" ? "\"" + operands[i] + "\"" : String(operands[i]));
+            }
+            if (operation === "Ratio") {
+                prefix = "";
+            } else if (operands[0] instanceof Ratio) {
+                prefix = "Ratio(" + args.shift() + ").";
+            }
+            this.operation = operation;
+            this.operands = operands;
+            this.message = prefix + operation + "(" + args.join(", ") + ") " + (customDescription || description);
+            this.stack = (new Error(this.message)).stack;
+        };
+        ErrorType.prototype = new Error();
+        ErrorType.prototype.constructor = ErrorType;
+        ErrorType.prototype.name = name;
+        return ErrorType;
+    };
+    /**
+     * Thrown by Ratio objects in strict mode when the numerator or denominator of a result leaves the range of Ratio.MIN_VALUE to Ratio.MAX_VALUE.<br/>
+     * The `operation` property is the name of the method and `operands` is an array of the Ratio and arguments involved.
+     *
+     * @class Ratio.RatioOverflowError
+     * @constructor
+     * @param {String} operation
+     * @param {Array} operands
+     * @example
+    var a = Ratio(1, Ratio.MAX_VALUE);
+    a.strict = true;
+    a.multiply(1,2); // throws Ratio.RatioOverflowError
+     */
+    Ratio.RatioOverflowError = _createErrorType("RatioOverflowError", "has a numerator or denominator outside of Ratio.MIN_VALUE and Ratio.MAX_VALUE.");
+    /**
+     * Thrown by Ratio objects in strict mode when the numerator or denominator of a result isn't a whole number.<br/>
+     * The `operation` property is the name of the method and `operands` is an array of the Ratio and arguments involved.
+     *
+     * @class Ratio.RatioPrecisionError
+     * @constructor
+     * @param {String} operation
+     * @param {Array} operands
+     * @example
+    var a = Ratio(20, 30);
+    a.strict = true;
+    a.descale(3); // throws Ratio.RatioPrecisionError
+     */
+    Ratio.RatioPrecisionError = _createErrorType("RatioPrecisionError", "has a numerator or denominator that isn't a whole number.");
+    /**
+     * Thrown by `Ratio.solve()` and `Ratio.solveProportion()` when an equation doesn't have exactly one solution, or isn't linear in the unknown.<br/>
+     * The `operation` property is the name of the function and `operands` is an array of the arguments.
+     *
+     * @class Ratio.RatioSolveError
+     * @constructor
+     * @param {String} operation
+     * @param {Array} operands
+     * @param {String} [description]
+     * @example
+    Ratio.solve("x + 1 = x"); // throws Ratio.RatioSolveError
+     */
+    Ratio.RatioSolveError = _createErrorType("RatioSolveError", "doesn't have exactly one solution.");
     /**
      * Checks if value is a finite number. <br/> Borrowed from jQuery 1.7.2 <br/>
      *
@@ -122,6 +274,9 @@ var Ratio = (function () {
      **/
     Ratio.gcd = function (a, b) {
         var c;
+        if (_isBigInt(a) || _isBigInt(b)) {
+            return _bigIntOperation(a, b, _bigIntGcd, Ratio.gcd);
+        }
         b = (+b && +a) ? +b : 0;
         a = b ? a : 1;
         while (b) {
@@ -131,6 +286,783 @@ var Ratio = (function () {
         }
         return Math.abs(a);
     };
+    var _hasBigInt = (typeof BigInt === "function");
+    var _isBigInt = function (obj) {
+        return typeof obj === "bigint";
+    };
+    /**
+     * Converts a whole number to a BigInt. Returns null for everything else.<br/>
+     * Numbers beyond Ratio.MAX_VALUE are converted from their decimal form, so 1e23 becomes 10^23.
+     */
+    var _toBigInt = function (obj) {
+        var parts;
+        if (_isBigInt(obj)) {
+            return obj;
+        }
+        obj = +obj;
+        if (!_hasBigInt || !isFinite(obj) || obj % 1) {
+            return null;
+        }
+        if (Math.abs(obj) <= Ratio.MAX_VALUE) {
+            return BigInt(obj);
+        }
+        parts = obj.toString().split(/e\+?/);
+        if (parts.length === 1) {
+            return BigInt(parts[0]);
+        }
+        parts[1] = +parts[1] - (parts[0].split(".")[1] || "").length;
+        return BigInt(parts[0].replace(".", "")) * _bigIntPow(BigInt(10), parts[1]);
+    };
+    var _toNumber = function (obj) {
+        return _isBigInt(obj) ? Number(obj) : +obj;
+    };
+    /**
+     * Applies `bigIntFunc` when both values can be converted to BigInts, otherwise applies `numberFunc` to their Number values.
+     */
+    var _bigIntOperation = function (a, b, bigIntFunc, numberFunc) {
+        var x = _toBigInt(a),
+        y = _toBigInt(b);
+        if (x !== null && y !== null) {
+            return bigIntFunc(x, y);
+        }
+        return numberFunc(_toNumber(a), _toNumber(b));
+    };
+    var _bigIntGcd = function (a, b) {
+        var c;
+        if (!a || !b) {
+            return BigInt(1);
+        }
+        while (b) {
+            c = a % b;
+            a = b;
+            b = c;
+        }
+        return _abs(a);
+    };
+    var _bigIntPow = function (base, exponent) {
+        var result = BigInt(1);
+        while (0 < exponent) {
+            if (exponent % 2) {
+                result *= base;
+            }
+            base *= base;
+            exponent = Math.floor(exponent / 2);
+        }
+        return result;
+    };
+    var _bitLength = function (obj) {
+        return _abs(obj).toString(2).length;
+    };
+    // The following functions work the same as the operators, but also accept BigInts.
+    var _abs = function (a) {
+        if (_isBigInt(a)) {
+            return (a < 0) ? -a : a;
+        }
+        return Math.abs(a);
+    };
+    var _isSafeInteger = function (obj) {
+        return typeof obj === "number" && obj % 1 === 0 && Math.abs(obj) <= Ratio.MAX_VALUE;
+    };
+    /**
+     * If `Ratio.autoPromote` is on, redoes an operation on two safe integers with BigInts
+     * when the Number result is outside the range of Ratio.MIN_VALUE to Ratio.MAX_VALUE.
+     */
+    var _promoteOnOverflow = function (a, b, result, bigIntFunc) {
+        if (Ratio.autoPromote && _hasBigInt && Ratio.MAX_VALUE <= Math.abs(result) && _isSafeInteger(a) && _isSafeInteger(b)) {
+            return bigIntFunc(BigInt(a), BigInt(b));
+        }
+        return result;
+    };
+    var _bigIntAdd = function (a, b) {
+        return a + b;
+    };
+    var _bigIntSubtract = function (a, b) {
+        return a - b;
+    };
+    var _bigIntMultiply = function (a, b) {
+        return a * b;
+    };
+    var _add = function (a, b) {
+        if (_isBigInt(a) || _isBigInt(b)) {
+            return _bigIntOperation(a, b, _bigIntAdd, _add);
+        }
+        return _promoteOnOverflow(a, b, a + b, _bigIntAdd);
+    };
+    var _subtract = function (a, b) {
+        if (_isBigInt(a) || _isBigInt(b)) {
+            return _bigIntOperation(a, b, _bigIntSubtract, _subtract);
+        }
+        return _promoteOnOverflow(a, b, a - b, _bigIntSubtract);
+    };
+    var _multiply = function (a, b) {
+        if (_isBigInt(a) || _isBigInt(b)) {
+            return _bigIntOperation(a, b, _bigIntMultiply, _multiply);
+        }
+        return _promoteOnOverflow(a, b, a * b, _bigIntMultiply);
+    };
+    // BigInt division only stays a BigInt when there isn't a remainder.
+    var _divide = function (a, b) {
+        if (_isBigInt(a) || _isBigInt(b)) {
+            return _bigIntOperation(a, b, function (x, y) {
+                return (y && !(x % y)) ? x / y : Number(x) / Number(y);
+            }, _divide);
+        }
+        return a / b;
+    };
+    var _mod = function (a, b) {
+        if (_isBigInt(a) || _isBigInt(b)) {
+            return _bigIntOperation(a, b, function (x, y) {
+                return y ? x % y : NaN;
+            }, _mod);
+        }
+        return a % b;
+    };
+    /**
+     * Returns a^b. Whole number powers of BigInts are exact, and so are those of whole Numbers beyond Ratio.MAX_VALUE if `Ratio.autoPromote` is on.<br/>
+     * Throws a RangeError instead of building a BigInt with more than Ratio.MAX_BIT_LENGTH bits.
+     */
+    var _pow = function (a, b) {
+        var result;
+        if (0 <= b && b % 1 === 0 && (_isBigInt(a) || (Ratio.autoPromote && _hasBigInt && _isWholeNumber(a)))) {
+            if (!_isBigInt(a)) {
+                result = Math.pow(a, b);
+                if (Math.abs(result) < Ratio.MAX_VALUE) {
+                    return result;
+                }
+            }
+            if (Ratio.MAX_BIT_LENGTH < (_bitLength(a) - 1) * b + 1) {
+                throw new RangeError(a + "^" + b + " needs more than Ratio.MAX_BIT_LENGTH (" + Ratio.MAX_BIT_LENGTH + ") bits.");
+            }
+            return _bigIntPow(_toBigInt(a), b);
+        }
+        return Math.pow(_toNumber(a), b);
+    };
+    // Converts BigInts within the range of Ratio.MIN_VALUE to Ratio.MAX_VALUE back to Numbers.
+    var _demote = function (obj) {
+        return (_isBigInt(obj) && _abs(obj) <= Ratio.MAX_VALUE) ? Number(obj) : obj;
+    };
+    /**
+     * Returns top/bottom as a Number.<br/>
+     * BigInts too large for a Number are shifted down first, so that the quotient is still close to the real value.
+     */
+    var _quotient = function (top, bottom) {
+        var shift,
+        x = _toBigInt(top),
+        y = _toBigInt(bottom);
+        if (!_isBigInt(top) && !_isBigInt(bottom)) {
+            return top / bottom;
+        }
+        if (x === null || y === null) {
+            return _toNumber(top) / _toNumber(bottom);
+        }
+        shift = Math.max(_bitLength(x), _bitLength(y)) - 1000;
+        if (0 < shift) {
+            x >>= BigInt(shift);
+            y >>= BigInt(shift);
+        }
+        return Number(x) / Number(y);
+    };
+    var _isWholeNumber = function (obj) {
+        return _isBigInt(obj) || (typeof obj === "number" && isFinite(obj) && obj % 1 === 0);
+    };
+    // Multiplies two whole numbers without losing precision, if BigInts are available.
+    var _exactMultiply = function (a, b) {
+        var result = _multiply(a, b);
+        if (!_isBigInt(result) && Ratio.MAX_VALUE <= Math.abs(result) && _hasBigInt) {
+            result = _toBigInt(a) * _toBigInt(b);
+        }
+        return result;
+    };
+    /**
+     * Compares a/b to c/d, where b and d aren't negative. Returns -1, 0 or 1 and NaN if either value is NaN.<br/>
+     * Whole numbers are compared by cross-multiplication, everything else, including x/0, falls back to comparing the quotients.
+     */
+    var _compare = function (a, b, c, d) {
+        var x = _quotient(a, b),
+        y = _quotient(c, d);
+        if (x !== x || y !== y) {
+            return NaN;
+        }
+        if (_isWholeNumber(a) && _isWholeNumber(b) && _isWholeNumber(c) && _isWholeNumber(d) && b != 0 && d != 0) {
+            x = _exactMultiply(a, d);
+            y = _exactMultiply(c, b);
+        }
+        return (x < y) ? -1 : ((y < x) ? 1 : 0);
+    };
+    // Floor division of two whole numbers.
+    var _floorDivide = function (a, b) {
+        var r = _mod(a, b),
+        q = _divide(_subtract(a, r), b);
+        if (r != 0 && ((r < 0) !== (b < 0))) {
+            q = _subtract(q, 1);
+        }
+        return q;
+    };
+    /**
+     * Divides two whole numbers, where b is positive, and rounds the quotient to a whole number.<br/>
+     * Modes: `half-up` (ties away from zero), `half-down` (ties toward zero), `half-even`, `toward-zero`, `away-from-zero`, `floor` and `ceiling`.
+     * Any other mode is treated as `half-up`.
+     */
+    var _roundDivide = function (a, b, mode) {
+        var q = _floorDivide(a, b),
+        r = _subtract(a, _multiply(q, b)),
+        half = _compare(_multiply(r, 2), 1, b, 1),
+        isNegative = (a < 0),
+        roundUp;
+        switch (mode) {
+        case "floor":
+            roundUp = false;
+            break;
+        case "ceiling":
+            roundUp = true;
+            break;
+        case "toward-zero":
+            roundUp = isNegative;
+            break;
+        case "away-from-zero":
+            roundUp = !isNegative;
+            break;
+        case "half-down":
+            roundUp = 0 < half || (half === 0 && isNegative);
+            break;
+        case "half-even":
+            roundUp = 0 < half || (half === 0 && _mod(q, 2) != 0);
+            break;
+        default:
+            roundUp = 0 < half || (half === 0 && !isNegative);
+        }
+        return (roundUp && r != 0) ? _add(q, 1) : q;
+    };
+    // Returns the whole number quotient of two Ratios, rounded with the mode, or null if it doesn't exist.
+    var _getIntegerQuotient = function (x, y, mode) {
+        var top,
+        bottom;
+        x = _toWholeRatio(x);
+        y = _toWholeRatio(y);
+        if (!x || !y || y._n == 0) {
+            return null;
+        }
+        top = _multiply(x._n, y._d);
+        bottom = _multiply(x._d, y._n);
+        if (bottom < 0) {
+            top = -top;
+            bottom = -bottom;
+        }
+        return _roundDivide(top, bottom, mode);
+    };
+    // Returns x - q*y as a clone of x, where q is the quotient of x/y rounded with the mode.
+    var _getRemainder = function (x, y, mode) {
+        var q = _getIntegerQuotient(x, y, mode);
+        if (q === null) {
+            return x.clone(NaN, 1);
+        }
+        x = _toWholeRatio(x);
+        y = _toWholeRatio(y);
+        return x.clone(_subtract(_multiply(x._n, y._d), _multiply(_multiply(q, y._n), x._d)), _multiply(x._d, y._d));
+    };
+    // Returns the floor of the nth root of a whole number that isn't negative.
+    var _integerRoot = function (x, n) {
+        var big = _toBigInt(x),
+        bigN,
+        r,
+        y;
+        if (big === null || big <= BigInt(Ratio.MAX_VALUE)) {
+            x = _toNumber(x);
+            r = Math.floor(Math.pow(x, 1 / n));
+            if (!isFinite(r)) {
+                return r;
+            }
+            while (0 < r && x < Math.pow(r, n)) {
+                r -= 1;
+            }
+            while (Math.pow(r + 1, n) <= x) {
+                r += 1;
+            }
+            return r;
+        }
+        // Newton's method, starting above the root.
+        bigN = BigInt(n);
+        r = BigInt(1) << BigInt(Math.ceil(_bitLength(big) / n));
+        while (true) {
+            y = ((bigN - BigInt(1)) * r + big / _bigIntPow(r, n - 1)) / bigN;
+            if (r <= y) {
+                return r;
+            }
+            r = y;
+        }
+    };
+    /**
+     * Returns [numerator, denominator] of the exact nth root of a Ratio in lowest terms, or null if the root isn't rational.
+     */
+    var _getExactRoot = function (obj, n) {
+        var x = _toWholeRatio(obj),
+        top,
+        bottom,
+        isNegative;
+        if (!x) {
+            return null;
+        }
+        x = Ratio.simplify(x._n, x._d);
+        isNegative = (x[0] < 0) !== (x[1] < 0);
+        if (isNegative && n % 2 === 0) {
+            return null;
+        }
+        top = _integerRoot(_abs(x[0]), n);
+        bottom = _integerRoot(_abs(x[1]), n);
+        if (_pow(top, n) != _abs(x[0]) || _pow(bottom, n) != _abs(x[1])) {
+            return null;
+        }
+        return [isNegative ? -top : top, bottom];
+    };
+    /**
+     * Returns [numerator, denominator] of a Ratio raised to a rational power, or null if the result isn't rational.<br/>
+     * Integer powers keep the numerator and denominator as they are, and negative powers use the reciprocal.
+     */
+    var _getExactPower = function (obj, power) {
+        var x = _toWholeRatio(obj),
+        y = _toWholeRatio(power),
+        parts,
+        exponent;
+        if (!x || !y) {
+            return null;
+        }
+        y = Ratio.simplify(y._n, y._d);
+        if (y[1] < 0) {
+            y = [-y[0], -y[1]];
+        }
+        parts = (y[1] == 1) ? [x._n, x._d] : _getExactRoot(x, _toNumber(y[1]));
+        if (!parts) {
+            return null;
+        }
+        exponent = _toNumber(y[0]);
+        if (exponent < 0) {
+            parts = (parts[0] < 0) ? [-parts[1], -parts[0]] : [parts[1], parts[0]];
+            exponent = -exponent;
+        }
+        return [_pow(parts[0], exponent), _pow(parts[1], exponent)];
+    };
+    // Returns a clone of the Ratio rounded to the nearest multiple of 1/denominator, for `Ratio.prototype.roundTo()`.
+    var _roundTo = function (x, denominator, roundingMode) {
+        var obj = _toWholeRatio(x),
+        factor = _toWholeRatio(Ratio.getCombinedRatio(Ratio.getValueIfDefined(1, denominator)));
+        if (!factor || factor._n == 0) {
+            return x.clone(NaN, 1);
+        }
+        if (!obj) {
+            return x.clone(x.valueOf(), 1);
+        }
+        if (factor._n < 0) {
+            factor = factor.clone(-factor._n);
+        }
+        return x.clone(_multiply(_roundDivide(_multiply(obj._n, factor._n), _multiply(obj._d, factor._d), roundingMode), factor._d), factor._n);
+    };
+    // Returns the nth root of a Ratio for `Ratio.prototype.nthRoot()`, with the `approximate` property set.
+    var _nthRoot = function (obj, n, tolerance) {
+        var parts,
+        result;
+        n = +n;
+        if (!(0 < n && n % 1 === 0)) {
+            return obj.clone(NaN, 1);
+        }
+        parts = _getExactRoot(obj, n);
+        result = parts ? obj.clone(parts[0], parts[1]) : _unchecked(function () {
+                return _approximateRoot(obj, n, tolerance);
+            });
+        result.approximate = !parts;
+        return result;
+    };
+    /**
+     * Returns the simplest fraction within the tolerance of the nth root of a Ratio.<br/>
+     * floor(root * size)/size is found exactly, where 1/size is at most half the tolerance,
+     * so any fraction within half the tolerance of it is also within the tolerance of the root.
+     */
+    var _approximateRoot = function (obj, n, tolerance) {
+        var x = _toWholeRatio(obj),
+        limit = _getTolerance(tolerance),
+        isNegative,
+        size,
+        top,
+        result;
+        if (!x || !limit) {
+            return obj.clone(NaN, 1);
+        }
+        x = Ratio.simplify(x._n, x._d);
+        isNegative = (x[0] < 0) !== (x[1] < 0);
+        if (isNegative && n % 2 === 0) {
+            return obj.clone(NaN, 1);
+        }
+        size = _roundDivide(_multiply(2, limit._d), limit._n, "ceiling");
+        if (Ratio.MAX_VALUE < size) {
+            size = _toBigInt(size) || size;
+        }
+        top = _demote(_integerRoot(_floorDivide(_multiply(_abs(x[0]), _pow(size, n)), _abs(x[1])), n));
+        // Every convergent of top/size already has a denominator no larger than size.
+        result = Ratio.bestApproximation(obj.clone(top, _demote(size)), {
+            maxDenominator : Infinity,
+            tolerance : limit.divide(2)
+        });
+        return isNegative ? result.negate() : result;
+    };
+    /**
+     * Returns the result of `func()` without checking the Ratios made along the way for strict mode.<br/>
+     * Only the result is checked, unless it's the NaN returned for invalid input.
+     */
+    var _checkComputed = function (func, operation, operands) {
+        var result = _unchecked(func);
+        return result.isNaN() ? result : _checkResult(result, operation, operands);
+    };
+    // Returns the tolerance as a positive Ratio with whole parts, or null if it isn't one. Defaults to 1e-10.
+    var _getTolerance = function (tolerance) {
+        var obj = _toWholeRatio(Ratio.getCombinedRatio(Ratio.getValueIfDefined(1e-10, tolerance)).abs());
+        return (obj && obj._n != 0) ? obj.simplify() : null;
+    };
+    // Returns the size of the grid for _roundOutward(), so that rounding widens an interval by at most half the limit.
+    var _getGridSize = function (limit) {
+        return _roundDivide(_multiply(4, limit._d), limit._n, "ceiling");
+    };
+    // Rounds the ends of an interval away from each other to multiples of 1/size, which keeps their numerators and denominators small.
+    var _roundOutward = function (interval, size) {
+        return [interval[0].roundTo(size, "floor").simplify(), interval[1].roundTo(size, "ceiling").simplify()];
+    };
+    var _scaleInterval = function (interval, factor) {
+        var a = interval[0].multiply(factor),
+        b = interval[1].multiply(factor);
+        return (factor < 0) ? [b, a] : [a, b];
+    };
+    /**
+     * Returns an interval [Ratio, Ratio] no wider than the limit that contains atan(z), or atanh(z) if `isHyperbolic` is true, where |z| <= 1/2.<br/>
+     * The error after each term of the series is at most |next term| / (1 - z^2).
+     */
+    var _getArcTangentInterval = function (z, limit, isHyperbolic) {
+        var squared = z.multiply(z).simplify(),
+        factor = _createUnchecked(1).subtract(squared).reciprocal(),
+        power = z,
+        sum = _createUnchecked(0),
+        error,
+        k = 0;
+        do {
+            sum = sum.add(power.divide(2 * k + 1)).simplify();
+            power = power.multiply(squared).simplify();
+            if (!isHyperbolic) {
+                power = power.negate();
+            }
+            k += 1;
+            error = power.abs().multiply(factor).divide(2 * k + 1).simplify();
+        } while (error.greaterThan(limit.divide(4)));
+        return _roundOutward([sum.subtract(error), sum.add(error)], _getGridSize(limit));
+    };
+    /**
+     * Returns an interval [Ratio, Ratio] that contains exp(x).<br/>
+     * x is halved until |x| <= 1/2, where the error after each term of the Taylor series is at most 2*|next term|, then the interval is squared back.
+     * Squaring widens the interval, so it can be wider than the limit.
+     */
+    var _getExpInterval = function (x, limit) {
+        var size = _getGridSize(limit),
+        halvings = 0,
+        term = _createUnchecked(1),
+        sum = _createUnchecked(0),
+        interval,
+        error,
+        k = 0;
+        while (x.abs().greaterThan(1, 2)) {
+            x = x.divide(2).simplify();
+            halvings += 1;
+        }
+        do {
+            sum = sum.add(term).simplify();
+            k += 1;
+            term = term.multiply(x).divide(k).simplify();
+            error = term.abs().multiply(2);
+        } while (error.greaterThan(limit.divide(4)));
+        interval = _roundOutward([Ratio.max(sum.subtract(error), 0), sum.add(error)], size);
+        for (k = 0; k < halvings; k += 1) {
+            interval = _roundOutward([interval[0].multiply(interval[0]), interval[1].multiply(interval[1])], size);
+        }
+        return interval;
+    };
+    // Returns the simplest fraction within half the tolerance of the middle of an interval no wider than the tolerance.
+    var _pickFromInterval = function (interval, tolerance) {
+        return Ratio.bestApproximation(interval[0].add(interval[1]).divide(2), {
+            maxDenominator : Infinity,
+            tolerance : tolerance.divide(2)
+        });
+    };
+    // Returns x * 2^exponent. The steps keep the powers of 2 in range, so only the last multiplication can round.
+    var _scaleByPowerOfTwo = function (x, exponent) {
+        while (1000 < exponent) {
+            x *= Math.pow(2, 1000);
+            exponent -= 1000;
+        }
+        while (exponent < -1000) {
+            x *= Math.pow(2, -1000);
+            exponent += 1000;
+        }
+        return x * Math.pow(2, exponent);
+    };
+    /**
+     * Returns a/b as the nearest Number, with ties rounded to even, where a and b are positive BigInts.<br/>
+     * The quotient is found with at least 55 bits, then rounded to 53 bits, or fewer for subnormal Numbers.
+     */
+    var _roundedQuotient = function (a, b) {
+        var shift = 55 + _bitLength(b) - _bitLength(a),
+        q = (0 < shift) ? (a << BigInt(shift)) / b : a / (b << BigInt(-shift)),
+        isExact = (0 < shift) ? !((a << BigInt(shift)) % b) : !(a % (b << BigInt(-shift))),
+        bits = _bitLength(q),
+        precision = Math.min(53, bits - shift + 1074),
+        drop = BigInt(bits - precision),
+        m = q >> drop,
+        rest = q - (m << drop),
+        half = (BigInt(1) << drop) >> BigInt(1);
+        if (half < rest || (rest === half && (!isExact || m % BigInt(2)))) {
+            m += BigInt(1);
+        }
+        return _scaleByPowerOfTwo(Number(m), Number(drop) - shift);
+    };
+    // Returns 10^exponent, as a BigInt if `asBigInt` is true.
+    var _pow10 = function (exponent, asBigInt) {
+        return asBigInt ? _bigIntPow(BigInt(10), exponent) : _pow(10, exponent);
+    };
+    // Returns a whole number as a BigInt if `asBigInt` is true and BigInts are supported.
+    var _toWholeValue = function (obj, asBigInt) {
+        return asBigInt ? Ratio.getValueIfDefined(obj, _toBigInt(obj)) : obj;
+    };
+    /**
+     * Splits a denominator, d, into [x, y], where d = 2^a * 5^b * y and x = max(a, b).<br/>
+     * So x is the number of decimal places before any repeating digits, and y is 1 if the decimal terminates.
+     */
+    var _splitDenominator = function (bottom) {
+        var twos = 0,
+        fives = 0;
+        while (bottom != 1 && bottom != 0 && _mod(bottom, 2) == 0) {
+            bottom = _divide(bottom, 2);
+            twos += 1;
+        }
+        while (bottom != 1 && bottom != 0 && _mod(bottom, 5) == 0) {
+            bottom = _divide(bottom, 5);
+            fives += 1;
+        }
+        return [Math.max(twos, fives), bottom];
+    };
+    var _repeatString = function (str, count) {
+        return new Array(count + 1).join(str);
+    };
+    // Returns the terms of the continued fraction for a/b, where a and b are whole numbers and b is positive.
+    var _getContinuedFraction = function (a, b) {
+        var terms = [],
+        q,
+        r;
+        while (b != 0) {
+            q = _floorDivide(a, b);
+            r = _subtract(a, _multiply(q, b));
+            terms.push(q);
+            a = b;
+            b = r;
+        }
+        return terms;
+    };
+    // Returns the convergents of the continued fraction terms as [numerator, denominator] pairs.
+    // The first two pairs, [0, 1] and [1, 0], are the seeds of the recurrence.
+    var _getConvergents = function (terms) {
+        var arr = [[0, 1], [1, 0]],
+        i,
+        prev,
+        last;
+        for (i = 0; i < terms.length; i += 1) {
+            prev = arr[i];
+            last = arr[i + 1];
+            arr.push([_add(_multiply(terms[i], last[0]), prev[0]), _add(_multiply(terms[i], last[1]), prev[1])]);
+        }
+        return arr;
+    };
+    // Returns |a/b - x| as [top, bottom], where x is a Ratio with whole parts, so approximations of x can be compared exactly with _compare().
+    var _getDistance = function (a, b, x) {
+        return [_abs(_subtract(_multiply(a, x._d), _multiply(x._n, b))), _abs(_multiply(b, x._d))];
+    };
+    // Returns the Ratio as one with whole numbers for the numerator and denominator, or null if that's not possible.
+    var _toWholeRatio = function (obj) {
+        if (!_isWholeNumber(obj._n) || !_isWholeNumber(obj._d)) {
+            obj = _parse(obj._n, obj._d);
+        }
+        return (_isWholeNumber(obj._n) && _isWholeNumber(obj._d) && obj._d != 0) ? obj : null;
+    };
+    /**
+     * Splits a Ratio with whole number parts into a sign, whole number and proper fraction, like `.toLocaleString()` does.<br/>
+     * So -22/7 returns `{isNegative: true, whole: 3, top: 1, bottom: 7}`.
+     * If `isImproper` is true, then only whole numbers have a `whole` part.
+     */
+    var _getMixedParts = function (obj, isImproper) {
+        var top = _abs(obj._n),
+        bottom = _abs(obj._d),
+        isWhole = (_mod(top, bottom) == 0);
+        return {
+            isNegative : (obj._n < 0) !== (obj._d < 0) && obj._n != 0,
+            whole : (isImproper && !isWhole) ? 0 : _divide(_subtract(top, _mod(top, bottom)), bottom),
+            top : (isImproper && !isWhole) ? top : _mod(top, bottom),
+            bottom : bottom
+        };
+    };
+    // Returns a whole number as a string of digits, so large floats like 1e22 aren't written in exponential notation.
+    var _toDigitString = function (obj) {
+        var parts = String(obj).split(/e\+?/);
+        if (parts.length === 1) {
+            return parts[0];
+        }
+        return parts[0].replace(".", "") + _repeatString("0", +parts[1] - (parts[0].split(".")[1] || "").length);
+    };
+    // Like _getMixedParts(), but the parts are found with BigInts where supported and returned as digit strings, for markup.
+    var _getMixedDigits = function (obj, isImproper) {
+        var parts = _getMixedParts({_n : _toWholeValue(obj._n, _hasBigInt), _d : _toWholeValue(obj._d, _hasBigInt)}, isImproper);
+        parts.whole = _toDigitString(parts.whole);
+        parts.top = _toDigitString(parts.top);
+        parts.bottom = _toDigitString(parts.bottom);
+        return parts;
+    };
+    /**
+     * Returns `value`, a Number, BigInt or decimal string, formatted by Intl.NumberFormat as an array of parts.<br/>
+     * The `style` of `options` is replaced by the given one, and the plain digits are returned where Intl isn't supported.
+     * Where Intl can't format BigInts or decimal strings exactly, the digits are rounded and grouped by `_formatExactToParts()` instead.
+     */
+    var _formatNumberToParts = function (value, locales, options, style) {
+        var settings = {},
+        formatter,
+        key;
+        value = _demote(value);
+        if (typeof Intl === "undefined" || !Intl.NumberFormat || !Intl.NumberFormat.prototype.formatToParts) {
+            return [{type : "integer", value : String(value)}];
+        }
+        for (key in options) {
+            if (_hasOwnProperty(options, key)) {
+                settings[key] = options[key];
+            }
+        }
+        settings.style = style;
+        formatter = new Intl.NumberFormat(locales, settings);
+        if ((_isBigInt(value) && !_hasIntlBigInt()) || (typeof value === "string" && !_hasIntlDecimalStrings())) {
+            return _formatExactToParts(_parse(value), formatter);
+        }
+        return formatter.formatToParts(value);
+    };
+    // Older versions of Intl.NumberFormat throw a TypeError for BigInts.
+    var _hasIntlBigInt = function () {
+        try {
+            return new Intl.NumberFormat("en-US").format(BigInt(12)) === "12";
+        } catch (e) {
+            return false;
+        }
+    };
+    // Returns the first part of a type, or null if there isn't one.
+    var _findPart = function (parts, type) {
+        var i;
+        for (i = 0; i < parts.length; i += 1) {
+            if (parts[i].type === type) {
+                return parts[i];
+            }
+        }
+        return null;
+    };
+    // Older versions of Intl.NumberFormat convert strings to Numbers, which loses digits.
+    var _hasIntlDecimalStrings = function () {
+        return new Intl.NumberFormat("en-US", {useGrouping : false}).format("12345678901234567891") === "12345678901234567891";
+    };
+    /**
+     * Formats a Ratio with whole parts like `formatter.formatToParts()`, without converting it to a Number.<br/>
+     * The value is rounded half-up to the formatter's maximumFractionDigits, and the locale's digits, separators, grouping sizes and signs
+     * are copied from parts that Intl formats for Numbers.
+     */
+    var _formatExactToParts = function (obj, formatter) {
+        var settings = formatter.resolvedOptions(),
+        isNegative = (obj._n < 0) !== (obj._d < 0) && obj._n != 0,
+        str = obj.clone(_abs(_multiply(obj._n, settings.style === "percent" ? 100 : 1)), _abs(obj._d)).toFixed(settings.maximumFractionDigits).split("."),
+        digits = new Intl.NumberFormat(settings.locale, {useGrouping : false}).format(1234567890).replace(/^(.*)(.)$/, "$2$1"),
+        template = formatter.formatToParts(isNegative ? -1 : 1),
+        integer = str[0],
+        fraction = str[1] || "",
+        sample = formatter.formatToParts(1111111111),
+        group = _findPart(sample, "group"),
+        decimal = _findPart(new Intl.NumberFormat(settings.locale, {minimumFractionDigits : 1}).formatToParts(1.5), "decimal"),
+        sizes = [],
+        groups = [],
+        parts = [],
+        size,
+        i,
+        j;
+        while (settings.minimumFractionDigits < fraction.length && fraction.charAt(fraction.length - 1) === "0") {
+            fraction = fraction.slice(0, -1);
+        }
+        // The last group has the primary size, like 3 in "1,234,567", and the ones before it can differ, like 2 in "12,34,567" for "en-IN".
+        for (i = 0; i < sample.length; i += 1) {
+            if (sample[i].type === "integer") {
+                sizes.unshift(sample[i].value.length);
+            }
+        }
+        for (size = sizes[0]; group && size < integer.length; size = sizes[Math.min(1, sizes.length - 2)]) {
+            groups.unshift(integer.slice(-size));
+            integer = integer.slice(0, -size);
+        }
+        groups.unshift(integer);
+        for (i = 0; i < template.length; i += 1) {
+            if (template[i].type === "integer") {
+                for (j = 0; j < groups.length; j += 1) {
+                    if (j) {
+                        parts.push({type : "group", value : group.value});
+                    }
+                    parts.push({type : "integer", value : _replaceDigits(groups[j], digits)});
+                }
+                if (fraction) {
+                    parts.push({type : "decimal", value : decimal ? decimal.value : "."});
+                    parts.push({type : "fraction", value : _replaceDigits(fraction, digits)});
+                }
+            } else if (template[i].type !== "group" && template[i].type !== "decimal" && template[i].type !== "fraction") {
+                parts.push(template[i]);
+            }
+        }
+        return parts;
+    };
+    // Returns the absolute value of a whole number, formatted for the locale with its grouping separators and digits.
+    var _formatWholeNumber = function (value, locales, options) {
+        var parts = _formatNumberToParts(_abs(value), locales, options, "decimal"),
+        str = "",
+        i;
+        for (i = 0; i < parts.length; i += 1) {
+            str += parts[i].value;
+        }
+        return str;
+    };
+    // Returns the locale's minus sign as a part.
+    var _getMinusSignPart = function (locales, options) {
+        var parts = _formatNumberToParts(-1, locales, options, "decimal"),
+        i;
+        for (i = 0; i < parts.length; i += 1) {
+            if (parts[i].type === "minusSign") {
+                return parts[i];
+            }
+        }
+        return {type : "minusSign", value : "-"};
+    };
+    /**
+     * Returns the result of an operation, after checking it for strict mode.
+     */
+    var _checkResult = function (result, operation, operands) {
+        var parts = [result._n, result._d],
+        i,
+        x;
+        for (i = 0; result.strict && !_isUnchecked && i < parts.length; i += 1) {
+            x = parts[i];
+            if (!_isBigInt(x)) {
+                x = +x;
+                if (x === Infinity || x === -Infinity) {
+                    throw new Ratio.RatioOverflowError(operation, operands);
+                }
+                if (isNaN(x) || x % 1) {
+                    throw new Ratio.RatioPrecisionError(operation, operands);
+                }
+            }
+            if (!result.useBigInt && (x < Ratio.MIN_VALUE || Ratio.MAX_VALUE < x)) {
+                throw new Ratio.RatioOverflowError(operation, operands);
+            }
+        }
+        return result;
+    };
     /**
      * Returns the numerator with the corresponding sign of (top/bottom).<br/>
      *
@@ -142,30 +1074,259 @@ var Ratio = (function () {
     Ratio.getNumeratorWithSign(1,-2) === -1
      **/
     Ratio.getNumeratorWithSign = function (top, bottom) {
+        if (_isBigInt(top) || _isBigInt(bottom)) {
+            return ((top < 0) !== (bottom < 0) && top != 0) ? -_abs(top) : _abs(top);
+        }
         var sign = (+top * (+bottom || 1)) < 0 ? -1 : 1;
         return Math.abs(+top) * sign;
     };
+    var _vulgarFractions = {
+        "\u00bc" : "1/4",
+        "\u00bd" : "1/2",
+        "\u00be" : "3/4",
+        "\u2150" : "1/7",
+        "\u2151" : "1/9",
+        "\u2152" : "1/10",
+        "\u2153" : "1/3",
+        "\u2154" : "2/3",
+        "\u2155" : "1/5",
+        "\u2156" : "2/5",
+        "\u2157" : "3/5",
+        "\u2158" : "4/5",
+        "\u2159" : "1/6",
+        "\u215a" : "5/6",
+        "\u215b" : "1/8",
+        "\u215c" : "3/8",
+        "\u215d" : "5/8",
+        "\u215e" : "7/8",
+        "\u2189" : "0/3"
+    };
+    var _superscriptDigits = "\u2070\u00b9\u00b2\u00b3\u2074\u2075\u2076\u2077\u2078\u2079";
+    var _subscriptDigits = "\u2080\u2081\u2082\u2083\u2084\u2085\u2086\u2087\u2088\u2089";
+    // Writes the digits of a whole number with the `digits` characters, like _superscriptDigits.
+    var _replaceDigits = function (obj, digits) {
+        return String(obj).replace(/\d/g, function (c) {
+            return digits.charAt(+c);
+        });
+    };
+    // Converts superscript or subscript digits and minus signs to plain ones.
+    var _fromScriptDigits = function (str, digits, minus) {
+        return str.replace(/./g, function (c) {
+            return (c === minus) ? "-" : String(digits.indexOf(c));
+        });
+    };
     /**
-     * Provides a quick way to find out the numeric type of an object.
-     * Types include: `NaN`, `Ratio`, `number`, `e`, `decimal`, `mixed` and `fraction`
-     *
-     * @method Ratio.guessType
-     * @param {*} obj
-     * @return {String} type
-     * @example
-    Ratio.guessType("1/3") === "fraction";
+     * Rewrites Unicode fractions in plain text, so "3\u215b" becomes "3 1/8" and "\u00b9\u2077\u2044\u2082\u2083" becomes "17/23".<br/>
+     * Handles vulgar fraction glyphs, superscript and subscript digits, the fraction slash (U+2044), the division slash (U+2215) and the minus sign (U+2212).<br/>
+     * The fraction numerator one (U+215F) becomes "1/", since its denominator follows it, like "\u215f\u2087".
+     */
+    var _normalizeUnicode = function (str) {
+        return str.replace(/(\d?)([\u2070\u00b9\u00b2\u00b3\u2074-\u2079\u207b]+)/g, function (match, digit, text) {
+            return digit + (digit ? " " : "") + _fromScriptDigits(text, _superscriptDigits, "\u207b");
+        }).replace(/[\u2080-\u2089\u208b]+/g, function (text) {
+            return _fromScriptDigits(text, _subscriptDigits, "\u208b");
+        }).replace(/(\d?)([\u00bc-\u00be\u2150-\u215f\u2189])/g, function (match, digit, glyph) {
+            return digit + (digit ? " " : "") + ((glyph === "\u215f") ? "1/" : _vulgarFractions[glyph]);
+        }).replace(/\u2212/g, "-").replace(/[\u2044\u2215]/g, "/");
+    };
+    var _escapeXML = function (str) {
+        return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    };
+    // Formats a coordinate for SVG, rounded to 2 decimal places.
+    var _toSVGNumber = function (x) {
+        return String(Math.round(x * 100) / 100);
+    };
+    // Returns an SVG element as a string. Numbers are rounded to 2 decimal places.
+    var _toSVGElement = function (name, attributes, content) {
+        var str = "<" + name,
+        key,
+        value;
+        for (key in attributes) {
+            if (_hasOwnProperty(attributes, key)) {
+                value = attributes[key];
+                str += " " + key + "=\"" + _escapeXML((typeof value === "number") ? _toSVGNumber(value) : value) + "\"";
+            }
+        }
+        return str + ((content === undefined) ? "/>" : ">" + content + "</" + name + ">");
+    };
+    // Returns `str` with spaces on both sides to fill `width`.
+    var _centerString = function (str, width) {
+        var left = Math.floor((width - str.length) / 2);
+        return _repeatString(" ", left) + str + _repeatString(" ", width - str.length - left);
+    };
+    /**
+     * Returns the 3 lines of a value drawn by `Ratio.toAsciiArt()`, all with the same width.<br/>
+     * Ratio objects are a stacked fraction, with the sign and whole number on the middle line. Other values are text on the middle line.
+     */
+    var _getAsciiArtLines = function (obj, options) {
+        var wholeObj = (obj instanceof Ratio) ? _toWholeRatio(obj) : null,
+        parts,
+        prefix,
+        width;
+        if (!wholeObj) {
+            prefix = (obj instanceof Ratio) ? obj.toLocaleString() : String(obj);
+            return [_repeatString(" ", prefix.length), prefix, _repeatString(" ", prefix.length)];
+        }
+        parts = _getMixedParts(wholeObj, options && options.mixed === false);
+        prefix = (parts.isNegative ? "-" : "") + ((parts.whole != 0 || parts.top == 0) ? parts.whole : "");
+        if (parts.top == 0) {
+            return [_repeatString(" ", prefix.length), prefix, _repeatString(" ", prefix.length)];
+        }
+        prefix += prefix ? " " : "";
+        width = Math.max(String(parts.top).length, String(parts.bottom).length) + 2;
+        return [
+            _repeatString(" ", prefix.length) + _centerString(String(parts.top), width),
+            prefix + _repeatString("-", width),
+            _repeatString(" ", prefix.length) + _centerString(String(parts.bottom), width)
+        ];
+    };
+    var _svgDefaults = {
+        type : "bar",
+        width : null,
+        height : null,
+        size : 100,
+        gap : 10,
+        fill : "#4e79a7",
+        background : "#ffffff",
+        stroke : "#333333",
+        maxParts : 100,
+        maxWholes : 100
+    };
+    /**
+     * Draws the shapes for `Ratio.prototype.toSVG()`, where `parts` is from `_getMixedParts()` with Numbers,
+     * and `parts.count` is the number of wholes to draw.<br/>
+     * Each returns `[width, height, content]`.
+     */
+    var _svgDrawings = {
+        pie : function (parts, settings) {
+            var r = settings.size / 2,
+            count = parts.count,
+            content = "",
+            i,
+            k,
+            cx,
+            cy = r + 1,
+            filled,
+            angle;
+            for (i = 0; i < count; i += 1) {
+                cx = r + 1 + i * (settings.size + settings.gap);
+                filled = (i < parts.whole) ? parts.bottom : parts.top;
+                angle = 2 * Math.PI * filled / parts.bottom;
+                content += _toSVGElement("circle", {cx : cx, cy : cy, r : r, fill : (filled === parts.bottom) ? settings.fill : settings.background});
+                if (0 < filled && filled < parts.bottom) {
+                    content += _toSVGElement("path", {
+                        d : "M" + _toSVGNumber(cx) + " " + _toSVGNumber(cy) + " L" + _toSVGNumber(cx) + " " + _toSVGNumber(cy - r) +
+                            " A" + _toSVGNumber(r) + " " + _toSVGNumber(r) + " 0 " + ((Math.PI < angle) ? 1 : 0) + " 1 " +
+                            _toSVGNumber(cx + r * Math.sin(angle)) + " " + _toSVGNumber(cy - r * Math.cos(angle)) + " Z",
+                        fill : settings.fill
+                    });
+                }
+                for (k = 0; 1 < parts.bottom && parts.bottom <= settings.maxParts && k < parts.bottom; k += 1) {
+                    angle = 2 * Math.PI * k / parts.bottom;
+                    content += _toSVGElement("line", {x1 : cx, y1 : cy, x2 : cx + r * Math.sin(angle), y2 : cy - r * Math.cos(angle), stroke : settings.stroke});
+                }
+                content += _toSVGElement("circle", {cx : cx, cy : cy, r : r, fill : "none", stroke : settings.stroke});
+            }
+            return [count * (settings.size + settings.gap) - settings.gap + 2, settings.size + 2, content];
+        },
+        bar : function (parts, settings) {
+            var width = settings.width || 200,
+            height = settings.height || 40,
+            count = parts.count,
+            content = "",
+            i,
+            k,
+            x,
+            filled;
+            for (i = 0; i < count; i += 1) {
+                x = 1 + i * (width + settings.gap);
+                filled = (i < parts.whole) ? parts.bottom : parts.top;
+                content += _toSVGElement("rect", {x : x, y : 1, width : width, height : height, fill : settings.background});
+                if (0 < filled) {
+                    content += _toSVGElement("rect", {x : x, y : 1, width : width * filled / parts.bottom, height : height, fill : settings.fill});
+                }
+                for (k = 1; parts.bottom <= settings.maxParts && k < parts.bottom; k += 1) {
+                    content += _toSVGElement("line", {x1 : x + width * k / parts.bottom, y1 : 1, x2 : x + width * k / parts.bottom, y2 : 1 + height, stroke : settings.stroke});
+                }
+                content += _toSVGElement("rect", {x : x, y : 1, width : width, height : height, fill : "none", stroke : settings.stroke});
+            }
+            return [count * (width + settings.gap) - settings.gap + 2, height + 2, content];
+        },
+        numberLine : function (parts, settings) {
+            var width = settings.width || 400,
+            height = settings.height || 60,
+            margin = 20,
+            y = height / 2,
+            count = parts.count,
+            start = parts.isNegative ? -count : 0,
+            step = (width - 2 * margin) / count,
+            ticks = (parts.bottom <= settings.maxParts) ? parts.bottom : 1,
+            content = _toSVGElement("line", {x1 : margin, y1 : y, x2 : width - margin, y2 : y, stroke : settings.stroke}),
+            value = (parts.isNegative ? -1 : 1) * (parts.whole + parts.top / parts.bottom),
+            k,
+            x,
+            isMajor;
+            for (k = 0; k <= count * ticks; k += 1) {
+                x = margin + step * k / ticks;
+                isMajor = (k % ticks === 0);
+                content += _toSVGElement("line", {x1 : x, y1 : y - (isMajor ? 8 : 4), x2 : x, y2 : y + (isMajor ? 8 : 4), stroke : settings.stroke});
+                if (isMajor) {
+                    content += _toSVGElement("text", {x : x, y : y + 22, "text-anchor" : "middle", "font-family" : "sans-serif", "font-size" : 12}, String(start + k / ticks));
+                }
+            }
+            x = margin + step * (value - start);
+            content += _toSVGElement("circle", {cx : x, cy : y, r : 4, fill : settings.fill});
+            content += _toSVGElement("text", {x : x, y : y - 14, "text-anchor" : "middle", "font-family" : "sans-serif", "font-size" : 12}, _escapeXML(settings.label));
+            return [width, height, content];
+        }
+    };
+    /**
+     * Provides a quick way to find out the numeric type of an object.
+     * Types include: `NaN`, `Ratio`, `bigint`, `number`, `e`, `decimal`, `repeating`, `percent`, `permille`, `colon`, `aspect`, `mixed` and `fraction`<br/>
+     * Unicode fractions, like "3\u215b", "1\u20443" and "\u22122/5", are typed as their plain text forms.
+     *
+     * @method Ratio.guessType
+     * @param {*} obj
+     * @return {String} type
+     * @example
+    Ratio.guessType("1/3") === "fraction";
+    Ratio.guessType("0.(3)") === "repeating";
+    Ratio.guessType("12.5%") === "percent";
+    Ratio.guessType("3\u2030") === "permille";
+    Ratio.guessType("3:4") === "colon";
+    Ratio.guessType("16x9") === "aspect";
      **/
     Ratio.guessType = function (obj) {
-        var type = "NaN";
+        var type = "NaN",
+        parts;
+        if (typeof obj === "string") {
+            obj = _normalizeUnicode(obj);
+        }
         if (obj instanceof Ratio) {
             type = "Ratio";
+        } else if (_isBigInt(obj)) {
+            type = "bigint";
         } else if (!isNaN(obj)) {
             type = "number";
-            if (-1 < (+obj).toString().indexOf("e")) {
+            parts = (typeof obj === "string") && Ratio.regex.decimalNotation.exec(obj);
+            if (parts) {
+                // Strings are checked as written, since converting them to a Number can round off digits.
+                if (parts[4]) {
+                    type = "e";
+                } else if (/[1-9]/.test(parts[3])) {
+                    type = "decimal";
+                }
+            } else if (-1 < (+obj).toString().indexOf("e")) {
                 type = "e";
             } else if (obj % 1) {
                 type = "decimal";
             }
+        } else if (Ratio.regex.repeatingNotation.test(obj) || Ratio.regex.ellipsisNotation.test(obj)) {
+            type = "repeating";
+        } else if (Ratio.regex.percentNotation.test(obj)) {
+            type = (Ratio.regex.percentNotation.exec(obj)[2] === "%") ? "percent" : "permille";
+        } else if (Ratio.regex.colonNotation.test(obj)) {
+            type = (Ratio.regex.colonNotation.exec(obj)[2] === ":") ? "colon" : "aspect";
         } else if (Ratio.regex.divSignCheck.test(obj)) {
             if (/\d\s+[+\-]?\d/.test(obj)) {
                 type = "mixed";
@@ -176,85 +1337,794 @@ var Ratio = (function () {
         return type;
     };
     /**
-     * Converts a numeric value to an array in the form of [top, bottom], such that top/bottom evaluates to the passed value.
+     * Converts a string to a Number.<br/>
+     * Whole numbers beyond Ratio.MAX_VALUE become BigInts instead if `Ratio.autoPromote` or `Ratio.useBigInt` is on, so that no digits are lost.
+     */
+    var _parseNumber = function (obj) {
+        var num = +obj;
+        if ((Ratio.autoPromote || Ratio.useBigInt) && _hasBigInt && typeof obj === "string" &&
+            Ratio.MAX_VALUE <= Math.abs(num) && /^\s*[+\-]?\d+\s*$/.test(obj)) {
+            return BigInt(obj);
+        }
+        return num;
+    };
+    /**
+     * Converts a decimal string, like "-0.125" or "1.25e-7", to [top, bottom] digit by digit, where bottom is a power of 10.<br/>
+     * The parts stay Numbers when the digits fit in one, like `Ratio.parseToArray()` does for Numbers.
+     * Otherwise they become BigInts if `Ratio.autoPromote` or `Ratio.useBigInt` is on, so that no digits are lost,
+     * unless a part would need more than Ratio.MAX_BIT_LENGTH bits.
+     */
+    var _parseDecimalString = function (str) {
+        var parts = Ratio.regex.decimalNotation.exec(str),
+        fraction = (parts[3] || "").replace(/0+$/, ""),
+        digits = ((parts[2] || "") + fraction).replace(/^0+(?=\d)/, "") || "0",
+        exponent = +(parts[4] || 0) - fraction.length,
+        bits = Math.max(digits.length + Math.max(0, exponent), -exponent) * Math.LN10 / Math.LN2,
+        asBigInt = (Ratio.autoPromote || Ratio.useBigInt) && _hasBigInt && (15 < digits.length || 300 < Math.abs(exponent)) && bits <= Ratio.MAX_BIT_LENGTH,
+        arr;
+        if (asBigInt) {
+            arr = (exponent < 0) ? [BigInt(digits), _pow10(-exponent, true)] : [BigInt(digits) * _pow10(exponent, true), BigInt(1)];
+        } else {
+            arr = (exponent < 0) ? [+digits, Number("1e" + (-exponent))] : [Number(digits + "e" + exponent), 1];
+        }
+        arr[0] = (parts[1] === "-") ? -arr[0] : arr[0];
+        return arr;
+    };
+    /**
+     * Converts a repeating decimal to [top, bottom]. Accepts "0.1(6)", "0.1[6]" and "0.1666...".<br/>
+     * With "...", the repeating digits are the shortest pattern that appears twice at the end, or else the last digit.
+     */
+    var _parseRepeatingDecimal = function (str) {
+        var parts = Ratio.regex.repeatingNotation.exec(str),
+        whole,
+        pattern,
+        i;
+        if (parts) {
+            pattern = parts[4] || parts[5];
+        } else {
+            parts = Ratio.regex.ellipsisNotation.exec(str);
+            pattern = parts[3].slice(-1);
+            for (i = 1; i * 2 <= parts[3].length; i += 1) {
+                if (parts[3].slice(-i) === parts[3].slice(-2 * i, -i)) {
+                    pattern = parts[3].slice(-i);
+                    break;
+                }
+            }
+            parts[3] = parts[3].slice(0, -pattern.length);
+        }
+        whole = (parts[2] || "0") + parts[3];
+        return [
+            Ratio.getNumeratorWithSign(_subtract(_parseNumber(whole + pattern), _parseNumber(whole)), parts[1] + "1"),
+            _parseNumber(_repeatString("9", pattern.length) + _repeatString("0", parts[3].length))
+        ];
+    };
+    /**
+     * Converts a numeric value to an array in the form of [top, bottom], such that top/bottom evaluates to the passed value.<br/>
+     * Decimal and scientific notated strings are converted digit by digit, so they're exact. Numbers are converted from their shortest decimal form.
      *
      * @method Ratio.parseToArray
      * @param {Number|String} obj Numeric Object.
      * @return {Array[Number, Number]}
      * @example
-    Ratio.parseToArray( 0.125 ) // returns [125, 1000]
+    Ratio.parseToArray( 0.125 ) // returns [125, 1000]
+    Ratio.parseToArray( "1.25e-7" ) // returns [125, 1000000000]
+     **/
+    Ratio.parseToArray = function (obj) {
+        var parts = [],
+        sign,
+        index,
+        arr = [],
+        top;
+        if (typeof obj === "string") {
+            obj = _normalizeUnicode(obj);
+        }
+        switch (Ratio.guessType(obj)) {
+        case "mixed":
+            parts = obj.match(Ratio.regex.mixedNumbers);
+            arr = Ratio.parseToArray(parts[2]);
+            sign = (+parts[1] < 0 || arr[0] < 0) ? -1 : 1;
+            top = _add(_abs(arr[0]), _abs(_multiply(_parseNumber(parts[1]), arr[1])));
+            arr[0] = (sign < 0) ? -top : top;
+            break;
+        case "fraction":
+            parts = obj.split(Ratio.regex.divSignSplit);
+            arr[0] = Ratio.getNumeratorWithSign(_parseNumber(parts[0]), _parseNumber(parts[1]));
+            arr[1] = _abs(_parseNumber(parts[1]));
+            break;
+        case "decimal":
+            if (typeof obj === "string") {
+                arr = _parseDecimalString(obj);
+                break;
+            }
+            parts = (+obj).toString().split(".");
+            arr[1] = Math.pow(10, parts[1].length);
+            arr[0] = Math.abs(parts[0]) * arr[1] + (+parts[1]);
+            arr[0] = (-1 < (parts[0]).indexOf("-")) ? -arr[0] : arr[0];
+            break;
+        case "repeating":
+            arr = _parseRepeatingDecimal(obj);
+            break;
+        case "percent":
+        case "permille":
+            parts = Ratio.regex.percentNotation.exec(obj);
+            arr = Ratio.parseToArray(parts[1]);
+            arr[1] = _multiply(arr[1], (parts[2] === "%") ? 100 : 1000);
+            break;
+        case "colon":
+        case "aspect":
+            parts = Ratio.regex.colonNotation.exec(obj);
+            top = Ratio.parseToArray(parts[1]);
+            arr = Ratio.parseToArray(parts[3]);
+            arr = [Ratio.getNumeratorWithSign(_multiply(top[0], arr[1]), _multiply(top[1], arr[0])), _abs(_multiply(top[1], arr[0]))];
+            break;
+        case "number":
+            arr = [_parseNumber(obj), 1];
+            break;
+        case "bigint":
+            arr = [obj, BigInt(1)];
+            break;
+        case "e":
+            if (typeof obj === "string") {
+                arr = _parseDecimalString(obj);
+                break;
+            }
+            parts = (+obj).toString().split(/e/i);
+            top = Ratio.parseToArray(parts[0]);
+            index = (Math.abs(+obj) < 1) ? [0, 1] : [1, 0];
+            arr[index[0]] = top[index[0]];
+            arr[index[1]] = Number(top[index[1]] + "e" + Math.abs(+parts[1]));
+            break;
+        case "Ratio":
+            arr = [obj._n, obj._d];
+            break;
+        default:
+            arr = [NaN, 1];
+        }
+        return arr;
+    };
+    /**
+     * Converts a numeric value to a Ratio object.
+     * Supports mixed numbers, whole numbers, decimals, scientific numbers, repeating decimals, percentages, ratios like "3:4" and Ratio objects.
+     *
+     * @method Ratio.parse
+     * @chainable
+     * @param {Ratio|Number|String} obj - numerator
+     * @param {Ratio|Number|String} [obj] - denominator
+     * @return {Ratio}
+     * @example
+    Ratio.parse(22,7).toString() === "22/7"; //whole numbers
+
+    Ratio.parse("3 1/7").toString() === "22/7"; // mixed numbers
+
+    Ratio.parse(22/7).simplify().toLocaleString() === "3 1/7"; // decimals
+
+    Ratio.parse("22/7").toLocaleString() === "3 1/7"; // fractions
+
+    Ratio.parse("22e31/70e30").simplify().toLocaleString() === "3 1/7"; // scientific notated numbers
+
+    Ratio.parse("12.5%").simplify().toString() === "1/8"; // percentages, and per-mille with "\u2030"
+
+    Ratio.parse("16x9").toString() === "16/9"; // ratios written as "16:9", "16 : 9" or "16x9"
+
+    Ratio.parse("3\u215b").toString() === "25/8"; // Unicode fractions
+     **/
+    Ratio.parse = function (obj, obj2) {
+        return _checkResult(_parse(obj, obj2), "parse", (obj2 === undefined || obj2 === null) ? [obj] : [obj, obj2]);
+    };
+    // Works like `Ratio.parse()`, without checking the result for strict mode.
+    var _parse = function (obj, obj2) {
+        var arr = Ratio.parseToArray(obj),
+        arr2;
+        if (arr.length && obj2 !== undefined && obj2 !== null) {
+            arr2 = Ratio.parseToArray(obj2);
+            arr[0] = _multiply(arr[0], arr2[1]);
+            arr[1] = _multiply(arr[1], arr2[0]);
+        }
+        return _createUnchecked(arr[0], arr[1]);
+    };
+    /**
+     * Returns the exact value of a Number as a Ratio. Every finite Number is a fraction with a power of 2 as the denominator.<br/>
+     * Unlike `Ratio.parse()`, which finds the shortest decimal, 0.1 becomes 3602879701896397/36028797018963968.
+     * Parts beyond Ratio.MAX_VALUE are BigInts when they're supported.
+     *
+     * @method Ratio.fromFloatExact
+     * @chainable
+     * @param {Number} value
+     * @return {Ratio}
+     * @example
+    Ratio.fromFloatExact(0.1).toString() === "3602879701896397/36028797018963968"
+    Ratio.fromFloatExact(0.375).toString() === "3/8"
+     **/
+    Ratio.fromFloatExact = function (value) {
+        var top = +value,
+        exponent = 0;
+        if (!isFinite(top)) {
+            return new Ratio(top, 1);
+        }
+        if (top % 1 === 0) {
+            return new Ratio((_hasBigInt && Ratio.MAX_VALUE < Math.abs(top)) ? BigInt(top) : top + 0, 1);
+        }
+        while (top % 1 !== 0) {
+            top *= 2;
+            exponent += 1;
+        }
+        if (_hasBigInt && 53 < exponent) {
+            return new Ratio(BigInt(top), _bigIntPow(BigInt(2), exponent));
+        }
+        return new Ratio(top, Math.pow(2, exponent));
+    };
+    /**
+     * Returns the exact value of a Number as a Ratio, after rounding it to single precision (32-bit) like a Float32Array does.
+     * See `Ratio.fromFloatExact()`.
+     *
+     * @method Ratio.fromFloat32Exact
+     * @chainable
+     * @param {Number} value
+     * @return {Ratio}
+     * @example
+    Ratio.fromFloat32Exact(0.1).toString() === "13421773/134217728"
+     **/
+    Ratio.fromFloat32Exact = function (value) {
+        value = (typeof Math.fround === "function") ? Math.fround(value) : new Float32Array([value])[0];
+        return Ratio.fromFloatExact(value);
+    };
+    /**
+     * Splits an expression into number, name and operator tokens. Numbers are parsed with `Ratio.parse()`.<br/>
+     * Returns null if the expression contains anything else, or a number ending in a decimal point is followed by a parenthesis,
+     * since "0.(3)" is a repeating decimal and not 0 times 3.<br/>
+     * A mixed number can't directly follow `/`, so "1/2 3/4" is invalid instead of 1/(2 3/4).
+     */
+    var _tokenizeExpression = function (str) {
+        var tokens = [],
+        match;
+        str = String(str);
+        while (!(/^\s*$/).test(str)) {
+            match = Ratio.regex.expressionToken.exec(str);
+            if (!match) {
+                return null;
+            }
+            if (match[1] && (/\s/).test(match[1]) && tokens.length && tokens[tokens.length - 1].value === "/") {
+                match = (/^\s*(\d+)/).exec(str);
+            }
+            if (match[1]) {
+                if ((/\.$/).test(match[1]) && (/^\s*\(/).test(str.substring(match[0].length))) {
+                    return null;
+                }
+                tokens.push({
+                    type : "number",
+                    value : _parse(match[1].replace(/\s*\/\s*/, "/"))
+                });
+            } else {
+                tokens.push({
+                    type : match[2] ? "name" : "operator",
+                    value : match[2] || match[3]
+                });
+            }
+            str = str.substring(match[0].length);
+        }
+        return tokens;
+    };
+    var _hasOwnProperty = function (obj, name) {
+        return !!obj && Object.prototype.hasOwnProperty.call(obj, name);
+    };
+    var _operatorMethods = {
+        "+" : "add",
+        "-" : "subtract",
+        "*" : "multiply",
+        "/" : "divide",
+        "^" : "pow"
+    };
+    // Evaluates the parts of a compiled expression as Ratios.
+    var _ratioOperations = {
+        number : function (obj) {
+            return obj.clone();
+        },
+        variable : function (name, scope) {
+            return _parse(_hasOwnProperty(scope, name) ? scope[name] : NaN);
+        },
+        call : function (name, args) {
+            if (!_hasOwnProperty(Ratio.functions, name) || typeof Ratio.functions[name] !== "function") {
+                return _createUnchecked(NaN, 1);
+            }
+            return _parse(Ratio.functions[name].apply(Ratio.functions, args));
+        },
+        binary : function (a, operator, b) {
+            var result;
+            try {
+                result = a[_operatorMethods[operator]](b);
+            } catch (e) {
+                // Powers beyond Ratio.MAX_BIT_LENGTH throw a RangeError, but typed expressions give NaN instead.
+                if (e instanceof RangeError) {
+                    return _createUnchecked(NaN, 1);
+                }
+                throw e;
+            }
+            // Irrational powers are only approximate, and the result has to be exact.
+            return result.approximate ? _createUnchecked(NaN, 1) : result.simplify();
+        },
+        negate : function (a) {
+            return a.negate();
+        }
+    };
+    /**
+     * Compiles the tokens of an expression into a function that takes a scope of variables and returns the result from `operations`.<br/>
+     * Uses the usual order of operations, where `^` is right associative and binds tighter than unary minus, so -2^2 is -4.
+     * A value followed by a name or parenthesis is multiplied with it, with the same precedence as `*`, so 1/2x is x/2.
+     * Returns null if the tokens aren't a valid expression, or are nested deeper than `Ratio.MAX_EXPRESSION_DEPTH`.
+     */
+    var _compileTokens = function (tokens, operations) {
+        var i = 0,
+        depth = 0,
+        invalid = {},
+        result,
+        isOperator = function (value) {
+            var token = tokens[i];
+            return !!token && token.type === "operator" && token.value === value;
+        },
+        expect = function (value) {
+            if (!isOperator(value)) {
+                throw invalid;
+            }
+            i += 1;
+        },
+        // Parses a nested part of the expression, like the inside of parentheses or the operand of a sign or power.
+        nested = function (parse) {
+            var obj;
+            depth += 1;
+            if (Ratio.MAX_EXPRESSION_DEPTH < depth) {
+                throw invalid;
+            }
+            obj = parse();
+            depth -= 1;
+            return obj;
+        },
+        startsValue = function () {
+            var token = tokens[i];
+            return !!token && (token.type === "name" || (token.type === "operator" && token.value === "("));
+        },
+        binary = function (left, operator, right) {
+            return function (scope) {
+                return operations.binary(left(scope), operator, right(scope));
+            };
+        },
+        // Evaluates a chain like a + b - c from left to right in a loop, so long chains don't nest.
+        chain = function (operands, operators) {
+            if (!operators.length) {
+                return operands[0];
+            }
+            return function (scope) {
+                var obj = operands[0](scope),
+                j;
+                for (j = 0; j < operators.length; j += 1) {
+                    obj = operations.binary(obj, operators[j], operands[j + 1](scope));
+                }
+                return obj;
+            };
+        },
+        negate = function (operand) {
+            return function (scope) {
+                return operations.negate(operand(scope));
+            };
+        },
+        constant = function (obj) {
+            return function () {
+                return operations.number(obj);
+            };
+        },
+        variable = function (name) {
+            return function (scope) {
+                return operations.variable(name, scope);
+            };
+        },
+        call = function (name, args) {
+            return function (scope) {
+                var values = [],
+                j;
+                for (j = 0; j < args.length; j += 1) {
+                    values.push(args[j](scope));
+                }
+                return operations.call(name, values);
+            };
+        },
+        parseSum,
+        parseProduct,
+        parseUnary,
+        parsePower,
+        parsePrimary;
+        parseSum = function () {
+            var operands = [parseProduct()],
+            operators = [];
+            while (isOperator("+") || isOperator("-")) {
+                i += 1;
+                operators.push(tokens[i - 1].value);
+                operands.push(parseProduct());
+            }
+            return chain(operands, operators);
+        };
+        parseProduct = function () {
+            var operands = [parseUnary()],
+            operators = [];
+            while (isOperator("*") || isOperator("/") || startsValue()) {
+                if (startsValue()) {
+                    operators.push("*");
+                } else {
+                    i += 1;
+                    operators.push(tokens[i - 1].value);
+                }
+                operands.push(parseUnary());
+            }
+            return chain(operands, operators);
+        };
+        parseUnary = function () {
+            if (isOperator("-")) {
+                i += 1;
+                return negate(nested(parseUnary));
+            }
+            if (isOperator("+")) {
+                i += 1;
+                return nested(parseUnary);
+            }
+            return parsePower();
+        };
+        parsePower = function () {
+            var obj = parsePrimary();
+            if (isOperator("^")) {
+                i += 1;
+                obj = binary(obj, "^", nested(parseUnary));
+            }
+            return obj;
+        };
+        parsePrimary = function () {
+            var obj,
+            args = [],
+            token = tokens[i];
+            if (token && token.type === "number") {
+                i += 1;
+                return constant(token.value);
+            }
+            if (token && token.type === "name") {
+                i += 1;
+                if (!isOperator("(")) {
+                    return variable(token.value);
+                }
+                i += 1;
+                if (isOperator(")")) {
+                    i += 1;
+                    return call(token.value, args);
+                }
+                args.push(nested(parseSum));
+                while (isOperator(",")) {
+                    i += 1;
+                    args.push(nested(parseSum));
+                }
+                expect(")");
+                return call(token.value, args);
+            }
+            expect("(");
+            obj = nested(parseSum);
+            expect(")");
+            return obj;
+        };
+        try {
+            result = parseSum();
+            if (i < tokens.length) {
+                throw invalid;
+            }
+        } catch (e) {
+            if (e === invalid) {
+                return null;
+            }
+            throw e;
+        }
+        return result;
+    };
+    /**
+     * Functions that can be called from expressions in `Ratio.evaluate()` and `Ratio.compile()`.<br/>
+     * Each function receives its arguments as Ratio objects and returns a value that `Ratio.parse()` accepts.
+     * Add a property to register a new function.
+     *
+     * @property Ratio.functions
+     * @type {Object}
+     * @example
+    Ratio.functions.half = function (x) { return x.divide(2); };
+    Ratio.evaluate("half(3)").toString() === "3/2"
+     */
+    Ratio.functions = {
+        abs : function (x) {
+            return _parse(x).abs();
+        },
+        ceil : function (x) {
+            return _parse(x).ceil();
+        },
+        floor : function (x) {
+            return _parse(x).floor();
+        },
+        round : function (x) {
+            return _parse(x).round();
+        },
+        reciprocal : function (x) {
+            return _parse(x).reciprocal();
+        },
+        negate : function (x) {
+            return _parse(x).negate();
+        },
+        sqrt : function (x, tolerance) {
+            return _parse(x).sqrt(tolerance);
+        },
+        mod : function (x, y) {
+            return _parse(x).mod(y);
+        },
+        min : function () {
+            return Ratio.min.apply(Ratio, arguments);
+        },
+        max : function () {
+            return Ratio.max.apply(Ratio, arguments);
+        }
+    };
+    /**
+     * Compiles an arithmetic expression into a reusable function, which takes an object of variables and returns the exact result as a Ratio in lowest terms.<br/>
+     * Variables can be any value that `Ratio.parse()` accepts. Undefined variables and functions, and invalid expressions, give NaN, even in strict mode.<br/>
+     * See `Ratio.evaluate()` for the supported syntax, and `Ratio.functions` for the functions that can be called.
+     *
+     * @method Ratio.compile
+     * @param {String} expression
+     * @return {Function} function(scope) that returns a Ratio.
+     * @example
+    var f = Ratio.compile("a/b + 1/2");
+    f({a: 1, b: 3}).toString() === "5/6"
+    f({a: "1/2", b: 0.25}).toString() === "5/2"
+    Ratio.compile("max(x, 1/2) - abs(y)")({x: "1/3", y: -0.25}).toString() === "1/4"
+     **/
+    Ratio.compile = function (expression) {
+        var tokens = _tokenizeExpression(expression),
+        func = tokens && _compileTokens(tokens, _ratioOperations);
+        return function (scope) {
+            var result;
+            if (!func) {
+                return _createUnchecked(NaN, 1);
+            }
+            result = _unchecked(function () {
+                return func(scope || {});
+            });
+            return result.isNaN() ? result : _checkResult(result, "compile", [expression]);
+        };
+    };
+    /**
+     * Evaluates an arithmetic expression exactly and returns the result as a Ratio in lowest terms.<br/>
+     * Supports `+`, `-`, `*`, `/`, `^`, parentheses, unary minus, function calls from `Ratio.functions`, variables from the optional scope,
+     * and numbers in any form `Ratio.parse()` accepts without spaces, except mixed numbers, which are written as "3 1/4".<br/>
+     * A number or variable followed by a variable or parenthesis is multiplied, so "2x" is "2*x" and "1/2x" is "(1/2)*x".
+     * Repeating decimals like "0.(3)" are numbers, so a decimal point can't be followed by a parenthesis otherwise.<br/>
+     * Returns NaN if the expression isn't valid, is nested deeper than `Ratio.MAX_EXPRESSION_DEPTH`,
+     * or has a power that isn't rational, like "2^(1/2)", or would need more than Ratio.MAX_BIT_LENGTH bits.
+     *
+     * @method Ratio.evaluate
+     * @chainable
+     * @param {String} expression
+     * @param {Object} [scope] values of the variables.
+     * @return {Ratio}
+     * @example
+    Ratio.evaluate("(1/3 + 1/6) * 2 - 3 1/4").toString() === "-9/4"
+    Ratio.evaluate("2^-2 + 0.5").toString() === "3/4"
+    Ratio.evaluate("x / 2", {x: 3}).toString() === "3/2"
+     **/
+    Ratio.evaluate = function (expression, scope) {
+        return Ratio.compile(expression)(scope);
+    };
+    // Thrown inside the linear operations when an expression isn't linear in the unknown.
+    var _nonlinear = {};
+    // Linear forms, [a, b], stand for a*x + b, where a and b are Ratios.
+    var _toLinearForm = function (obj) {
+        return [_createUnchecked(0), obj];
+    };
+    var _linearAdd = function (p, q) {
+        return [p[0].add(q[0]).simplify(), p[1].add(q[1]).simplify()];
+    };
+    var _linearMultiply = function (p, q) {
+        if (q[0]._n == 0) {
+            return [p[0].multiply(q[1]).simplify(), p[1].multiply(q[1]).simplify()];
+        }
+        if (p[0]._n == 0) {
+            return _linearMultiply(q, p);
+        }
+        throw _nonlinear;
+    };
+    var _evaluateLinearForm = function (p, x) {
+        return p[0].multiply(x).add(p[1]).simplify();
+    };
+    /**
+     * Returns a value for the linear operations, which is a fraction of two linear forms, {n: numerator, d: denominator}.<br/>
+     * Constant denominators are divided into the numerator.
+     */
+    var _toLinearFraction = function (n, d) {
+        if (d[0]._n == 0) {
+            n = _linearMultiply(n, _toLinearForm(d[1].reciprocal()));
+            d = _toLinearForm(_createUnchecked(1));
+        }
+        return {
+            n : n,
+            d : d
+        };
+    };
+    var _isConstantFraction = function (obj) {
+        return obj.n[0]._n == 0 && obj.d[0]._n == 0;
+    };
+    var _getConstant = function (obj) {
+        return obj.n[1].divide(obj.d[1]).simplify();
+    };
+    /**
+     * Evaluates the parts of a compiled expression as fractions of linear forms in `scope.unknown`.
+     * Other variables come from `scope.values`.<br/>
+     * Throws _nonlinear when the unknown would be multiplied by itself.
+     */
+    var _linearOperations = {
+        number : function (obj) {
+            return _toLinearFraction(_toLinearForm(obj.clone()), _toLinearForm(_createUnchecked(1)));
+        },
+        variable : function (name, scope) {
+            var n = (name === scope.unknown) ? [_createUnchecked(1), _createUnchecked(0)] : _toLinearForm(_ratioOperations.variable(name, scope.values));
+            return _toLinearFraction(n, _toLinearForm(_createUnchecked(1)));
+        },
+        call : function (name, args) {
+            var values = [],
+            i;
+            for (i = 0; i < args.length; i += 1) {
+                if (!_isConstantFraction(args[i])) {
+                    throw _nonlinear;
+                }
+                values.push(_getConstant(args[i]));
+            }
+            return _linearOperations.number(_ratioOperations.call(name, values));
+        },
+        binary : function (a, operator, b) {
+            switch (operator) {
+            case "-":
+                b = _linearOperations.negate(b);
+                return _toLinearFraction(_linearAdd(_linearMultiply(a.n, b.d), _linearMultiply(b.n, a.d)), _linearMultiply(a.d, b.d));
+            case "+":
+                return _toLinearFraction(_linearAdd(_linearMultiply(a.n, b.d), _linearMultiply(b.n, a.d)), _linearMultiply(a.d, b.d));
+            case "*":
+                return _toLinearFraction(_linearMultiply(a.n, b.n), _linearMultiply(a.d, b.d));
+            case "/":
+                return _toLinearFraction(_linearMultiply(a.n, b.d), _linearMultiply(a.d, b.n));
+            }
+            // Powers of the unknown are only linear for exponents of 1, 0 and -1.
+            if (!_isConstantFraction(b)) {
+                throw _nonlinear;
+            }
+            b = _getConstant(b);
+            if (_isConstantFraction(a)) {
+                return _linearOperations.number(_ratioOperations.binary(_getConstant(a), "^", b));
+            }
+            if (b.exactEquals(1)) {
+                return a;
+            }
+            if (b.exactEquals(0)) {
+                return _linearOperations.number(_createUnchecked(1));
+            }
+            if (b.exactEquals(-1)) {
+                return _toLinearFraction(a.d, a.n);
+            }
+            throw _nonlinear;
+        },
+        negate : function (a) {
+            return {
+                n : _linearMultiply(a.n, _toLinearForm(_createUnchecked(-1))),
+                d : a.d
+            };
+        }
+    };
+    /**
+     * Solves an equation that's linear in its only variable without a value in the scope, after cross-multiplying both sides.<br/>
+     * `operation` and `operands` are used for the errors. Returns NaN if the equation isn't valid.
+     */
+    var _findSolution = function (equation, scope, operation, operands) {
+        var sides = String(equation).split("="),
+        funcs = [],
+        names = [],
+        tokens,
+        results,
+        diff,
+        x,
+        i,
+        j;
+        if (sides.length !== 2) {
+            return _createUnchecked(NaN, 1);
+        }
+        for (i = 0; i < sides.length; i += 1) {
+            tokens = _tokenizeExpression(sides[i]);
+            funcs[i] = tokens && _compileTokens(tokens, _linearOperations);
+            if (!funcs[i]) {
+                return _createUnchecked(NaN, 1);
+            }
+            for (j = 0; j < tokens.length; j += 1) {
+                if (tokens[j].type === "name" && !(tokens[j + 1] && tokens[j + 1].value === "(") &&
+                    !_hasOwnProperty(scope, tokens[j].value) && names.indexOf(tokens[j].value) === -1) {
+                    names.push(tokens[j].value);
+                }
+            }
+        }
+        if (names.length !== 1) {
+            throw new Ratio.RatioSolveError(operation, operands, "needs exactly one unknown, but has " + names.length + ".");
+        }
+        try {
+            results = [funcs[0]({
+                        unknown : names[0],
+                        values : scope
+                    }), funcs[1]({
+                        unknown : names[0],
+                        values : scope
+                    })];
+            diff = _linearAdd(_linearMultiply(results[0].n, results[1].d), _linearMultiply(_linearMultiply(results[1].n, results[0].d), _toLinearForm(_createUnchecked(-1))));
+        } catch (e) {
+            if (e === _nonlinear) {
+                throw new Ratio.RatioSolveError(operation, operands, "isn't linear in " + names[0] + ".");
+            }
+            throw e;
+        }
+        if (diff[0]._n == 0 && diff[1]._n == 0) {
+            throw new Ratio.RatioSolveError(operation, operands, "has infinitely many solutions.");
+        }
+        x = diff[1].negate().divide(diff[0]).simplify();
+        if (diff[0]._n == 0 || _evaluateLinearForm(results[0].d, x)._n == 0 || _evaluateLinearForm(results[1].d, x)._n == 0) {
+            throw new Ratio.RatioSolveError(operation, operands, "has no solution.");
+        }
+        return x;
+    };
+    // Solves an equation like `_findSolution()`, and only checks the solution for strict mode.
+    var _solveEquation = function (equation, scope, operation, operands) {
+        var x = _unchecked(function () {
+            return _findSolution(equation, scope, operation, operands);
+        });
+        return x.isNaN() ? x : _checkResult(x, operation, operands);
+    };
+    /**
+     * Solves a linear equation with one unknown, and returns the exact value of the unknown as a Ratio in lowest terms.<br/>
+     * Both sides use the syntax of `Ratio.evaluate()`. Variables with values in the scope are known, and the only other variable is the unknown.
+     * The unknown can be in a denominator, as long as cross-multiplying makes the equation linear.<br/>
+     * Throws a `Ratio.RatioSolveError` if there's no solution, infinitely many solutions, or the equation isn't linear.
+     * Returns NaN if the equation isn't valid.
+     *
+     * @method Ratio.solve
+     * @chainable
+     * @param {String} equation
+     * @param {Object} [scope] values of the known variables.
+     * @return {Ratio}
+     * @example
+    Ratio.solve("3x + 1/2 = 5/6").toString() === "1/9"
+    Ratio.solve("2(y - 1) = y/4").toString() === "8/7"
+    Ratio.solve("1/x + 1 = 3").toString() === "1/2"
+    Ratio.solve("a*x = b", {a: "2/3", b: 4}).toString() === "6/1"
      **/
-    Ratio.parseToArray = function (obj) {
-        var parts = [],
-        sign,
-        index,
-        arr = [],
-        top;
-        switch (Ratio.guessType(obj)) {
-        case "mixed":
-            parts = obj.match(Ratio.regex.mixedNumbers);
-            arr = Ratio.parseToArray(parts[2]);
-            sign = (+parts[1] < 0 || +arr[0] < 0) ? -1 : 1;
-            arr[0] = sign * (Math.abs(arr[0]) + Math.abs(parts[1] * arr[1]));
-            break;
-        case "fraction":
-            parts = obj.split(Ratio.regex.divSignSplit);
-            arr[0] = Ratio.getNumeratorWithSign(parts[0], parts[1]);
-            arr[1] = Math.abs(+parts[1]);
-            break;
-        case "decimal":
-            parts = (+obj).toString().split(".");
-            arr[1] = Math.pow(10, parts[1].length);
-            arr[0] = Math.abs(parts[0]) * arr[1] + (+parts[1]);
-            arr[0] = (-1 < (parts[0]).indexOf("-")) ? -arr[0] : arr[0];
-            break;
-        case "number":
-            arr = [+obj, 1];
-            break;
-        case "e":
-            parts = (+obj).toString().split(/e/i);
-            top = Ratio.parseToArray(parts[0]);
-            index = (Math.abs(+obj) < 1) ? [0, 1] : [1, 0];
-            arr[index[0]] = top[index[0]];
-            arr[index[1]] = Number(top[index[1]] + "e" + Math.abs(+parts[1]));
-            break;
-        case "Ratio":
-            arr = [obj._n, obj._d];
-            break;
-        default:
-            arr = [NaN, 1];
-        }
-        return arr;
+    Ratio.solve = function (equation, scope) {
+        return _solveEquation(equation, scope, "solve", [equation]);
     };
     /**
-     * Converts a numeric value to a Ratio object.
-     * Supports mixed numbers, whole numbers, decimals, scientific numbers and Ratio objects.
+     * Solves a proportion, a/b = c/d, where any one of the terms is unknown.<br/>
+     * Proportions can also be written as "a:b = c:d" and "a:b :: c:d". Each term is an expression, like in `Ratio.solve()`.
      *
-     * @method Ratio.parse
+     * @method Ratio.solveProportion
      * @chainable
-     * @param {Ratio|Number|String} obj - numerator
-     * @param {Ratio|Number|String} [obj] - denominator
+     * @param {String} proportion
+     * @param {Object} [scope] values of the known variables.
      * @return {Ratio}
      * @example
-    Ratio.parse(22,7).toString() === "22/7"; //whole numbers
-
-    Ratio.parse("3 1/7").toString() === "22/7"; // mixed numbers
-
-    Ratio.parse(22/7).simplify().toLocaleString() === "3 1/7"; // decimals
-
-    Ratio.parse("22/7").toLocaleString() === "3 1/7"; // fractions
-
-    Ratio.parse("22e31/70e30").simplify().toLocaleString() === "3 1/7"; // scientific notated numbers
+    Ratio.solveProportion("3/4 = 6/x").toString() === "8/1"
+    Ratio.solveProportion("x:20 :: 1:4").toString() === "5/1"
+    Ratio.solveProportion("a/b = c/x", {a: 1, b: 2, c: 3}).toString() === "6/1"
      **/
-    Ratio.parse = function (obj, obj2) {
-        var arr = Ratio.parseToArray(obj),
-        arr2;
-        if (arr.length && obj2 !== undefined && obj2 !== null) {
-            arr2 = Ratio.parseToArray(obj2);
-            arr[0] *= arr2[1];
-            arr[1] *= arr2[0];
+    Ratio.solveProportion = function (proportion, scope) {
+        var sides = String(proportion).split(/::|=/),
+        parts,
+        i;
+        for (i = 0; i < sides.length; i += 1) {
+            parts = sides[i].split(":");
+            if (2 < parts.length) {
+                return _createUnchecked(NaN, 1);
+            }
+            sides[i] = (parts.length === 2) ? "(" + parts[0] + ")/(" + parts[1] + ")" : sides[i];
         }
-        return new Ratio(arr[0], arr[1]);
+        return _solveEquation(sides.join("="), scope, "solveProportion", [proportion]);
     };
     /**
      * Returns an array of two numbers that represent ratio of the passed values.
@@ -278,11 +2148,11 @@ var Ratio = (function () {
     Ratio.simplify( "6/4" ); // returns [3,2]
      **/
     Ratio.simplify = function (obj, obj2) {
-        obj = Ratio.parse(obj, obj2);
+        obj = _parse(obj, obj2);
         var top = obj._n,
             bottom = top || !obj._d ? obj._d : 1,
             factor = Ratio.gcd(top, bottom);
-        return [top / factor, bottom / factor];
+        return [_divide(top, factor), _divide(bottom, factor)];
     };
     /**
      * This function divides a repeating decimal into 3 parts. If the value passed is not a repeating decimal then an empty array is returned.<br/>
@@ -414,7 +2284,7 @@ var Ratio = (function () {
      **/
     Ratio.getCombinedRatio = function (obj, obj2) {
         if (!(obj instanceof Ratio) || obj2 !== undefined) {
-            obj = Ratio.parse(obj, obj2);
+            obj = _parse(obj, obj2);
         }
         return obj;
     };
@@ -432,27 +2302,436 @@ var Ratio = (function () {
         var value = (Math.random()).toFixed(Math.floor(Math.random() * 16));
         return Ratio.parse(value).simplify();
     };
+    /**
+     * Compares two values for `Array.prototype.sort()`.<br/>
+     * Returns a negative number if a < b, a positive number if a > b and 0 if they're equal.
+     *
+     * @method Ratio.comparator
+     * @param {Ratio|Number|String} a
+     * @param {Ratio|Number|String} b
+     * @return {Number}
+     * @example
+    ["1/2", Ratio(1,3), 0.25].sort(Ratio.comparator); // returns [0.25, Ratio(1,3), "1/2"]
+     */
+    Ratio.comparator = function (a, b) {
+        return Ratio.getCombinedRatio(a).compare(b);
+    };
+    var _extreme = function (args, sign) {
+        var i,
+        obj,
+        result = _createUnchecked(sign * Infinity);
+        for (i = 0; i < args.length; i += 1) {
+            obj = Ratio.getCombinedRatio(args[i]);
+            if (obj.isNaN()) {
+                return obj;
+            }
+            if (obj.compare(result) === -sign) {
+                result = obj;
+            }
+        }
+        return result;
+    };
+    /**
+     * Returns the smallest of the passed values as a Ratio.<br/>
+     * Like `Math.min()`, returns a NaN Ratio if any value is NaN and Infinity/1 when nothing is passed.
+     *
+     * @method Ratio.min
+     * @chainable
+     * @param {Ratio|Number|String, ...} obj
+     * @return {Ratio}
+     * @example
+    Ratio.min("1/2", Ratio(1,3), 0.4).toString() === "1/3"
+     */
+    Ratio.min = function () {
+        return _extreme(arguments, 1);
+    };
+    /**
+     * Returns the largest of the passed values as a Ratio.<br/>
+     * Like `Math.max()`, returns a NaN Ratio if any value is NaN and -Infinity/1 when nothing is passed.
+     *
+     * @method Ratio.max
+     * @chainable
+     * @param {Ratio|Number|String, ...} obj
+     * @return {Ratio}
+     * @example
+    Ratio.max("1/2", Ratio(1,3), 0.4).toString() === "1/2"
+     */
+    Ratio.max = function () {
+        return _extreme(arguments, -1);
+    };
+    /**
+     * Returns the fraction with the smallest denominator that is within the tolerance of the value.<br/>
+     * The search stops at `maxDenominator`, in which case the closest fraction with a denominator no larger than `maxDenominator` is returned.
+     * See `Ratio.prototype.limitDenominator()`.
+     *
+     * @method Ratio.bestApproximation
+     * @chainable
+     * @param {Ratio|Number|String} value
+     * @param {Object} [options]
+     * @param {Number} [options.maxDenominator=1000000]
+     * @param {Ratio|Number|String} [options.tolerance=0]
+     * @return {Ratio}
+     * @example
+    Ratio.bestApproximation(Math.PI, {maxDenominator: 1000}).toString() === "355/113"
+    Ratio.bestApproximation(Math.PI, {tolerance: 0.01}).toString() === "22/7"
+     */
+    Ratio.bestApproximation = function (value, options) {
+        options = options || {};
+        var x = _toWholeRatio(Ratio.getCombinedRatio(value)),
+        max = +Ratio.getValueIfDefined(1000000, options.maxDenominator),
+        tolerance = Ratio.simplify(Ratio.getValueIfDefined(0, options.tolerance)),
+        terms,
+        convergents,
+        low,
+        high,
+        middle,
+        i,
+        getSemiconvergent = function (k) {
+            return [_add(convergents[i - 2][0], _multiply(k, convergents[i - 1][0])), _add(convergents[i - 2][1], _multiply(k, convergents[i - 1][1]))];
+        },
+        isWithinTolerance = function (k) {
+            var fraction = getSemiconvergent(k),
+            distance = _getDistance(fraction[0], fraction[1], x);
+            return _compare(distance[0], distance[1], tolerance[0], tolerance[1]) <= 0;
+        };
+        if (!x) {
+            return Ratio.getCombinedRatio(value).clone();
+        }
+        terms = _getContinuedFraction(x._n, x._d);
+        convergents = _getConvergents(terms);
+        for (i = 2; i < convergents.length; i += 1) {
+            // The semiconvergents for k = 1, 2, ... terms[i - 2] have growing denominators and get closer to x, ending at the next convergent.
+            // The whole numbers before the first convergent all have a denominator of 1, so only the closest one is checked.
+            low = (i === 2) ? _subtract(terms[0], 1) : 0;
+            high = terms[i - 2];
+            if (max < convergents[i][1]) {
+                high = (i === 2) ? low : _floorDivide(_subtract(Math.floor(max), convergents[i - 2][1]), convergents[i - 1][1]);
+            }
+            if (low < high && isWithinTolerance(high)) {
+                while (1 < _subtract(high, low)) {
+                    middle = _floorDivide(_add(low, high), 2);
+                    if (isWithinTolerance(middle)) {
+                        high = middle;
+                    } else {
+                        low = middle;
+                    }
+                }
+                middle = getSemiconvergent(high);
+                return x.clone(middle[0], middle[1]);
+            }
+            if (max < convergents[i][1]) {
+                return x.limitDenominator(max);
+            }
+        }
+        return x.simplify();
+    };
+    /**
+     * Returns the square root of a value as a Ratio. See `Ratio.prototype.sqrt()`.
+     *
+     * @method Ratio.sqrt
+     * @chainable
+     * @param {Ratio|Number|String} value
+     * @param {Ratio|Number|String} [tolerance=1e-10]
+     * @return {Ratio}
+     * @example
+    Ratio.sqrt("9/4").toString() === "3/2"
+    Ratio.sqrt(2, 0.001).toString() === "41/29"
+     */
+    Ratio.sqrt = function (value, tolerance) {
+        return Ratio.parse(value).sqrt(tolerance);
+    };
+    /**
+     * Returns a Ratio within the tolerance of e^x.<br/>
+     * Computed with rational arithmetic only, so the result is guaranteed to be within the tolerance.
+     *
+     * @method Ratio.exp
+     * @chainable
+     * @param {Ratio|Number|String} x
+     * @param {Ratio|Number|String} [tolerance=1e-10]
+     * @return {Ratio}
+     * @example
+    Ratio.exp(1, 0.001).toString() === "106/39"
+     */
+    Ratio.exp = function (x, tolerance) {
+        return _checkComputed(function () {
+            var limit = _getTolerance(tolerance),
+            obj = _toWholeRatio(Ratio.getCombinedRatio(x)),
+            interval,
+            width,
+            error;
+            if (!limit || !obj) {
+                return _createUnchecked(NaN, 1);
+            }
+            error = limit;
+            interval = _getExpInterval(obj.simplify(), error);
+            width = interval[1].subtract(interval[0]);
+            while (limit.lessThan(width)) {
+                error = error.divide(Math.ceil(Math.min(width.divide(limit).valueOf(), Ratio.MAX_VALUE)) * 4).simplify();
+                interval = _getExpInterval(obj.simplify(), error);
+                width = interval[1].subtract(interval[0]);
+            }
+            return _pickFromInterval(interval, limit);
+        }, "exp", [x]);
+    };
+    /**
+     * Returns a Ratio within the tolerance of the natural logarithm of x. Returns NaN if x isn't positive.<br/>
+     * Computed with rational arithmetic only, so the result is guaranteed to be within the tolerance.
+     *
+     * @method Ratio.ln
+     * @chainable
+     * @param {Ratio|Number|String} x
+     * @param {Ratio|Number|String} [tolerance=1e-10]
+     * @return {Ratio}
+     * @example
+    Ratio.ln(2, 0.001).toString() === "43/62"
+     */
+    Ratio.ln = function (x, tolerance) {
+        return _checkComputed(function () {
+            var limit = _getTolerance(tolerance),
+            obj = _toWholeRatio(Ratio.getCombinedRatio(x)),
+            k = 0,
+            z,
+            ln2,
+            rest;
+            if (!limit || !obj || !obj.greaterThan(0)) {
+                return _createUnchecked(NaN, 1);
+            }
+            // ln(x) = k*ln(2) + ln(y), where 2/3 <= y <= 4/3, and ln(y) = 2*atanh((y-1)/(y+1)).
+            obj = obj.simplify();
+            while (obj.greaterThan(4, 3)) {
+                obj = obj.divide(2).simplify();
+                k += 1;
+            }
+            while (obj.lessThan(2, 3)) {
+                obj = obj.multiply(2).simplify();
+                k -= 1;
+            }
+            z = obj.subtract(1).divide(obj.add(1)).simplify();
+            rest = _scaleInterval(_getArcTangentInterval(z, limit.divide(4), true), 2);
+            ln2 = _scaleInterval(_getArcTangentInterval(_createUnchecked(1, 3), limit.divide(4 * (Math.abs(k) + 1)), true), 2 * k);
+            return _pickFromInterval([rest[0].add(ln2[0]), rest[1].add(ln2[1])], limit);
+        }, "ln", [x]);
+    };
+    /**
+     * Returns a Ratio within the tolerance of pi.<br/>
+     * Computed with Machin's formula, pi = 16*atan(1/5) - 4*atan(1/239), so the result is guaranteed to be within the tolerance.
+     *
+     * @method Ratio.pi
+     * @chainable
+     * @param {Ratio|Number|String} [tolerance=1e-10]
+     * @return {Ratio}
+     * @example
+    Ratio.pi(0.01).toString() === "22/7"
+     */
+    Ratio.pi = function (tolerance) {
+        return _checkComputed(function () {
+            var limit = _getTolerance(tolerance),
+            a,
+            b;
+            if (!limit) {
+                return _createUnchecked(NaN, 1);
+            }
+            a = _scaleInterval(_getArcTangentInterval(_createUnchecked(1, 5), limit.divide(32), false), 16);
+            b = _scaleInterval(_getArcTangentInterval(_createUnchecked(1, 239), limit.divide(8), false), -4);
+            return _pickFromInterval([a[0].add(b[0]), a[1].add(b[1])], limit);
+        }, "pi", []);
+    };
+    /**
+     * Returns a new Ratio from the terms of a continued fraction, [a0; a1, a2, ...].
+     *
+     * @method Ratio.fromContinuedFraction
+     * @chainable
+     * @param {Array} terms an array of Ratio, String or Number values.
+     * @return {Ratio}
+     * @example
+    Ratio.fromContinuedFraction([3, 7, 15, 1]).toString() === "355/113"
+     */
+    Ratio.fromContinuedFraction = function (terms) {
+        terms = terms || [];
+        var i = terms.length - 1,
+        obj = _parse(i < 0 ? NaN : terms[i]);
+        for (i -= 1; 0 <= i; i -= 1) {
+            obj = Ratio.parse(terms[i]).add(obj.reciprocal());
+        }
+        return obj;
+    };
+    /**
+     * Returns a row of values drawn as text for a terminal, where Ratio objects are stacked fractions, like `Ratio.prototype.toAsciiArt()`.<br/>
+     * Other values, like "+" and "=", are written as text on the middle line, so steps of a calculation can be shown side by side.<br/>
+     * Options:<br/>
+     * `mixed`: If false, then improper fractions aren't written as mixed numbers. Default is true.<br/>
+     * `gap`: Number of spaces between the values. Default is 1.
+     *
+     * @method Ratio.toAsciiArt
+     * @param {Array} items Ratio objects and text
+     * @param {Object} [options]
+     * @return {String}
+     * @example
+    Ratio.toAsciiArt([Ratio(1,2), "+", Ratio(1,3), "=", Ratio(5,6)]) === [
+        " 1     1     5",
+        "--- + --- = ---",
+        " 2     3     6"
+    ].join("\n")
+     */
+    Ratio.toAsciiArt = function (items, options) {
+        var lines = ["", "", ""],
+        gap = _repeatString(" ", Math.max(0, Math.floor(Ratio.getValueIfDefined(1, options && options.gap)))),
+        arr,
+        i,
+        k;
+        items = items || [];
+        for (i = 0; i < items.length; i += 1) {
+            arr = _getAsciiArtLines(items[i], options);
+            for (k = 0; k < lines.length; k += 1) {
+                lines[k] += (i ? gap : "") + arr[k];
+            }
+        }
+        for (k = 0; k < lines.length; k += 1) {
+            lines[k] = lines[k].replace(/\s+$/, "");
+        }
+        while (lines.length && !lines[0]) {
+            lines.shift();
+        }
+        while (lines.length && !lines[lines.length - 1]) {
+            lines.pop();
+        }
+        return lines.join("\n");
+    };
+    /**
+     * Creates a reusable formatter that writes Ratio objects as strings. This replaces the instance `divSign` property.<br/>
+     * The output is built from templates, where `{sign}`, `{whole}`, `{num}`, `{sep}` and `{den}` are replaced by the parts of the value.
+     * So spacing and sign placement are set by the template, like "{num} / {den}" or "{whole} {sign}{num}/{den}".<br/>
+     * Options:<br/>
+     * `fraction`: Template for fractions. Default is "{sign}{num}{sep}{den}".<br/>
+     * `mixed`: Template for mixed numbers, or false to write them as fractions. Default is false.<br/>
+     * `whole`: Template for whole numbers, or false to write them as fractions. Default is false.<br/>
+     * `separator`: Replaces `{sep}`. Default is null, which uses the `divSign` of the Ratio.<br/>
+     * `negativeSign` and `positiveSign`: Replace `{sign}`. Defaults are "-" and "".<br/>
+     * `zero`, `nan` and `infinity`: Templates for those values, or null to write them like any other value. Defaults are null.<br/>
+     * Fractions are written with the numerator and denominator as they are stored, like `.toString()`.
+     *
+     * @class Ratio.Formatter
+     * @constructor
+     * @param {Object} [options]
+     * @example
+    var f = Ratio.Formatter({mixed: "{sign}{whole} {num}/{den}", whole: "{sign}{whole}", infinity: "{sign}\u221e"});
+    f.format(Ratio(-22,7)) === "-3 1/7"
+    Ratio(1,0).toString(f) === "\u221e"
+    Ratio(22,7).toLocaleString("ar-EG", {formatter: f}) === "\u0663 \u0661/\u0667"
+    Ratio.formatter = f; // used by .toString() without a formatter
+     */
+    Ratio.Formatter = function (options) {
+        if (!(this instanceof Ratio.Formatter)) {
+            return new Ratio.Formatter(options);
+        }
+        var key;
+        for (key in options) {
+            if (_hasOwnProperty(options, key)) {
+                this[key] = options[key];
+            }
+        }
+    };
+    Ratio.Formatter.prototype = {
+        constructor : Ratio.Formatter,
+        fraction : "{sign}{num}{sep}{den}",
+        mixed : false,
+        whole : false,
+        separator : null,
+        negativeSign : "-",
+        positiveSign : "",
+        zero : null,
+        nan : null,
+        infinity : null,
+        /**
+         * Returns the value as a string, using the templates of the formatter.<br/>
+         * If `locales` or `numberOptions` are provided, the digits are formatted by `Intl.NumberFormat`, like `Ratio.prototype.toLocaleString()`.
+         *
+         * @method Ratio.Formatter.prototype.format
+         * @param {Ratio|String|Number} value
+         * @param {String|Array} [locales]
+         * @param {Object} [numberOptions]
+         * @return {String}
+         */
+        format : function (value, locales, numberOptions) {
+            var obj = (value instanceof Ratio) ? value : _parse(value),
+            wholeObj = _toWholeRatio(obj),
+            isLocalized = (locales !== undefined || numberOptions !== undefined),
+            template = this.fraction,
+            values = {
+                sign : (obj._n < 0) ? this.negativeSign : this.positiveSign,
+                whole : "",
+                num : _abs(obj._n),
+                sep : String(Ratio.getValueIfDefined(obj.divSign, this.separator)),
+                den : obj._d
+            },
+            val,
+            top,
+            bottom,
+            key;
+            if (!wholeObj) {
+                val = obj.valueOf();
+                template = Ratio.getValueIfDefined(template, isNaN(val) ? this.nan : (isFinite(val) ? null : this.infinity));
+            } else if (wholeObj._n == 0 && this.zero !== null && this.zero !== undefined) {
+                template = this.zero;
+            } else if (this.mixed !== false || this.whole !== false) {
+                top = _abs(wholeObj._n);
+                bottom = _abs(wholeObj._d);
+                if (_mod(top, bottom) == 0 ? this.whole !== false : (this.mixed !== false && bottom < top)) {
+                    template = (_mod(top, bottom) == 0) ? this.whole : this.mixed;
+                    values.sign = ((wholeObj._n < 0) !== (wholeObj._d < 0) && wholeObj._n != 0) ? this.negativeSign : this.positiveSign;
+                    values.whole = _divide(_subtract(top, _mod(top, bottom)), bottom);
+                    values.num = _mod(top, bottom);
+                    values.den = bottom;
+                }
+            }
+            for (key in values) {
+                if (_hasOwnProperty(values, key) && key !== "sign" && key !== "sep") {
+                    values[key] = (isLocalized && values[key] !== "") ? _formatWholeNumber(values[key], locales, numberOptions) : String(values[key]);
+                }
+            }
+            return String(template).replace(/\{(\w+)\}/g, function (match, name) {
+                return _hasOwnProperty(values, name) ? values[name] : match;
+            });
+        }
+    };
+    /**
+     * The formatter used by `Ratio.prototype.toString()` when one isn't passed.<br/>
+     * The default writes the raw numerator and denominator, like "8/2".
+     *
+     * @property Ratio.formatter
+     * @type {Ratio.Formatter}
+     */
+    Ratio.formatter = new Ratio.Formatter();
     /**
      * @see Ratio.prototype.correctRatio()
      * @param {Number} a - numerator
      * @param {Number} b - denominator
      * @param {Boolean} alwaysReduce - if true, then returns the simplify fraction.
+     * @param {Boolean} [useBigInt] - if true, then whole numbers are converted to BigInts.
      * @return {Array} [numerator, denominator]
      * @example
     Ratio.getStandardRatioArray(-10,-20, true); // returns [1,2]
+    Ratio.getStandardRatioArray(-10,-20, true, true); // returns [1n,2n]
      * */
-    Ratio.getStandardRatioArray = function (a, b, alwaysReduce) {
+    Ratio.getStandardRatioArray = function (a, b, alwaysReduce, useBigInt) {
         if (typeof b === "undefined") {
             b = 1;
             if (typeof a === "undefined") {
                 a = 0;
             }
         }
-        var denominator = +Math.abs(b);
+        if (useBigInt) {
+            a = Ratio.getValueIfDefined(a, _toBigInt(a));
+            b = Ratio.getValueIfDefined(b, _toBigInt(b));
+        }
+        var denominator = _isBigInt(b) ? _abs(b) : +Math.abs(b);
         var numerator = Ratio.getNumeratorWithSign(a, (b || 1));
         var arr = [numerator, denominator];
         if (arr[1] && alwaysReduce) {
             arr = Ratio.simplify(arr[0], arr[1]);
+            if (!useBigInt) {
+                arr = [_demote(arr[0]), _demote(arr[1])];
+            }
         }
         return arr;
     };
@@ -481,54 +2760,304 @@ var Ratio = (function () {
                 this._d = Ratio.parse(val).valueOf();
                 this.correctRatio();
             }
-            return this._d;
+            return this._d;
+        },
+        /**
+         * For each ratio instance, corrects three main problems:
+         * 1) Sets the numerator and denominator to default values if undefined. (Default fraction: 0/1)
+         * 2) Places the sign on numerator.
+         * 3) Reduces the ratio if needed.
+         *
+         * @method Ratio.prototype.correctRatio
+         * @return {Ratio}
+         * @example
+        Ratio().toString() === "0/1"; // `.correctRatio()` was called internally.
+         **/
+        correctRatio : function () {
+            var arr = Ratio.getStandardRatioArray(this._n, this._d, this.alwaysReduce);
+            this._n = arr[0];
+            this._d = arr[1];
+            return this;
+        },
+        /**
+         * From the Ratio instance, returns the raw values of the numerator and denominator in the form [numerator, denominator].
+         *
+         * @method Ratio.prototype.toArray
+         * @return {Array} an array of 2 numbers.
+         * @example
+        Ratio(1,2).toArray().join(',') === "1,2"
+         **/
+        toArray : function () {
+            return [this._n, this._d];
+        },
+        /**
+         * From the Ratio instance, returns the result of the numerator divided by the denominator.
+         *
+         * @method Ratio.prototype.valueOf
+         * @return {Number}
+         * @example
+        Example 1:
+        Ratio(1,2).valueOf() === 0.5;
+         **/
+        valueOf : function () {
+            if (_isBigInt(this._n) || _isBigInt(this._d)) {
+                return _quotient(this._n, this._d);
+            }
+            var arr = Ratio.simplifyENotation(this._n, this._d);
+            return arr[0] / arr[1];
+        },
+        /**
+         * From the Ratio instance, returns the Number closest to the exact value of numerator/denominator, with ties rounded to even.<br/>
+         * Unlike `.valueOf()`, large numerators and denominators aren't rounded to Numbers before the division.
+         * Parts that aren't whole numbers fall back to `.valueOf()`.
+         *
+         * @method Ratio.prototype.toNumber
+         * @return {Number}
+         * @example
+        Ratio.fromFloatExact(0.1).toNumber() === 0.1
+        Ratio(BigInt("9007199254740993"), BigInt("9007199254740994")).toNumber() === 0.9999999999999999 // .valueOf() is 0.9999999999999998
+         **/
+        toNumber : function () {
+            var top = _toBigInt(this._n),
+            bottom = _toBigInt(this._d);
+            if (_isSafeInteger(this._n) && _isSafeInteger(this._d)) {
+                return this._n / this._d;
+            }
+            if (top === null || bottom === null || bottom == 0 || top == 0) {
+                return this.valueOf();
+            }
+            return (((top < 0) !== (bottom < 0)) ? -1 : 1) * _roundedQuotient(_abs(top), _abs(bottom));
+        },
+        /**
+         * From the Ratio instance, returns a string of the value in fixed-point notation, with `digits` digits after the decimal point.<br/>
+         * Unlike `Number.prototype.toFixed()`, the digits are computed by long division on the numerator and denominator, so every digit is correct.<br/>
+         * Rounding modes: `half-up` (default, ties away from zero), `half-down`, `half-even`, `toward-zero`, `away-from-zero`, `floor` and `ceiling`.
+         *
+         * @method Ratio.prototype.toFixed
+         * @param {Number} [digits=0]
+         * @param {String} [roundingMode="half-up"]
+         * @return {String}
+         * @example
+        Ratio(1,7).toFixed(20) === "0.14285714285714285714"
+        Ratio(-5,2).toFixed(0, "half-even") === "-2"
+         **/
+        toFixed : function (digits, roundingMode) {
+            var obj = _toWholeRatio(this),
+            useBigInt = _hasBigInt,
+            str;
+            digits = Math.max(0, Math.floor(+digits || 0));
+            if (!obj) {
+                return String(this.valueOf());
+            }
+            str = String(_abs(_roundDivide(_multiply(_toWholeValue(obj._n, useBigInt), _pow10(digits, useBigInt)), _toWholeValue(obj._d, useBigInt), roundingMode)));
+            if (digits) {
+                str = _repeatString("0", Math.max(0, digits + 1 - str.length)) + str;
+                str = str.slice(0, -digits) + "." + str.slice(-digits);
+            }
+            return ((obj._n < 0) ? "-" : "") + str;
+        },
+        /**
+         * From the Ratio instance, returns a string of the value with `precision` significant digits.<br/>
+         * Works like `Number.prototype.toPrecision()`, including exponential notation for very large and small values,
+         * but the digits are computed exactly from the numerator and denominator.<br/>
+         * Returns `.toDecimal()` if `precision` isn't provided.
+         *
+         * @method Ratio.prototype.toPrecision
+         * @param {Number} [precision]
+         * @param {String} [roundingMode="half-up"]
+         * @return {String}
+         * @example
+        Ratio(1,7).toPrecision(3) === "0.143"
+        Ratio(200000,3).toPrecision(2) === "6.7e+4"
+         **/
+        toPrecision : function (precision, roundingMode) {
+            var obj = _toWholeRatio(this),
+            useBigInt = _hasBigInt,
+            top,
+            bottom,
+            exponent,
+            shift,
+            str;
+            if (precision === undefined || precision === null) {
+                return this.toDecimal();
+            }
+            precision = Math.max(1, Math.floor(+precision || 1));
+            if (!obj) {
+                return String(this.valueOf());
+            }
+            top = _abs(_toWholeValue(obj._n, useBigInt));
+            bottom = _toWholeValue(obj._d, useBigInt);
+            if (top == 0) {
+                return "0" + (1 < precision ? "." + _repeatString("0", precision - 1) : "");
+            }
+            // Find the exponent, such that 10^exponent <= top/bottom < 10^(exponent + 1)
+            exponent = String(top).length - String(bottom).length;
+            if (exponent < 0 ? _compare(top, bottom, 1, _pow10(-exponent, useBigInt)) < 0 : _compare(top, bottom, _pow10(exponent, useBigInt), 1) < 0) {
+                exponent -= 1;
+            }
+            shift = precision - 1 - exponent;
+            if (0 <= shift) {
+                top = _multiply(top, _pow10(shift, useBigInt));
+            } else {
+                bottom = _multiply(bottom, _pow10(-shift, useBigInt));
+            }
+            str = String(_roundDivide(obj._n < 0 ? -top : top, bottom, roundingMode));
+            str = str.replace("-", "");
+            if (precision < str.length) {
+                exponent += 1;
+                str = str.slice(0, precision);
+            }
+            if (exponent < -6 || precision <= exponent) {
+                str = str.charAt(0) + (1 < precision ? "." + str.slice(1) : "") + "e" + (exponent < 0 ? "-" : "+") + Math.abs(exponent);
+            } else if (0 <= exponent) {
+                str = str.slice(0, exponent + 1) + (exponent + 1 < precision ? "." + str.slice(exponent + 1) : "");
+            } else {
+                str = "0." + _repeatString("0", -exponent - 1) + str;
+            }
+            return ((obj._n < 0) ? "-" : "") + str;
+        },
+        /**
+         * From the Ratio instance, returns the value as a decimal string.<br/>
+         * Values with a terminating decimal expansion are returned exactly.
+         * Otherwise the value is rounded to `maxDigits` digits after the decimal point and trailing zeros are removed.
+         *
+         * @method Ratio.prototype.toDecimal
+         * @param {Number} [maxDigits=Ratio.MAX_PRECISION]
+         * @return {String}
+         * @example
+        Ratio(1,8).toDecimal() === "0.125"
+        Ratio(1,3).toDecimal() === "0.3333333333333333"
+        Ratio(1,3).toDecimal(5) === "0.33333"
+         **/
+        toDecimal : function (maxDigits) {
+            var obj = _toWholeRatio(this),
+            arr,
+            str;
+            maxDigits = Math.max(0, Math.floor(+Ratio.getValueIfDefined(Ratio.MAX_PRECISION, maxDigits) || 0));
+            if (!obj) {
+                return String(this.valueOf());
+            }
+            obj = obj.simplify();
+            arr = _splitDenominator(obj._d);
+            if (arr[1] == 1) {
+                return obj.toFixed(arr[0]);
+            }
+            str = obj.toFixed(maxDigits);
+            return (-1 < str.indexOf(".")) ? str.replace(/\.?0+$/, "") : str;
         },
         /**
-         * For each ratio instance, corrects three main problems:
-         * 1) Sets the numerator and denominator to default values if undefined. (Default fraction: 0/1)
-         * 2) Places the sign on numerator.
-         * 3) Reduces the ratio if needed.
+         * From the Ratio instance, returns the value as a decimal string with the repeating digits marked.<br/>
+         * The digits are found by long division, so repeating patterns of any length are exact.<br/>
+         * Notations: `parentheses` (default) for "0.1(6)", `brackets` for "0.1[6]" and `overline` for "0.16&#773;".<br/>
+         * If the repeating pattern is longer than `maxDigits`, then the first `maxDigits` digits of it are returned followed by "...".
          *
-         * @method Ratio.prototype.correctRatio
-         * @return {Ratio}
+         * @method Ratio.prototype.toRepeatingDecimal
+         * @param {String} [notation="parentheses"]
+         * @param {Number} [maxDigits=1000]
+         * @return {String}
          * @example
-        Ratio().toString() === "0/1"; // `.correctRatio()` was called internally.
+        Ratio(1,6).toRepeatingDecimal() === "0.1(6)"
+        Ratio(22,7).toRepeatingDecimal("brackets") === "3.[142857]"
+        Ratio(1,8).toRepeatingDecimal() === "0.125"
          **/
-        correctRatio : function () {
-            var arr = Ratio.getStandardRatioArray(this._n, this._d, this.alwaysReduce);
-            this._n = arr[0];
-            this._d = arr[1];
-            return this;
+        toRepeatingDecimal : function (notation, maxDigits) {
+            var obj = _toWholeRatio(this),
+            useBigInt = _hasBigInt,
+            top,
+            bottom,
+            whole,
+            start,
+            digits = "",
+            pattern = "",
+            i,
+            arr;
+            maxDigits = Math.max(1, Math.floor(+Ratio.getValueIfDefined(1000, maxDigits) || 0));
+            if (!obj) {
+                return String(this.valueOf());
+            }
+            obj = obj.simplify();
+            top = _abs(_toWholeValue(obj._n, useBigInt));
+            bottom = _toWholeValue(obj._d, useBigInt);
+            arr = _splitDenominator(bottom);
+            whole = _floorDivide(top, bottom);
+            top = _subtract(top, _multiply(whole, bottom));
+            whole = ((obj._n < 0) ? "-" : "") + whole;
+            for (i = 0; i < arr[0]; i += 1) {
+                top = _multiply(top, 10);
+                digits += _floorDivide(top, bottom);
+                top = _mod(top, bottom);
+            }
+            if (top == 0) {
+                return whole + (digits ? "." + digits : "");
+            }
+            start = top;
+            do {
+                top = _multiply(top, 10);
+                pattern += _floorDivide(top, bottom);
+                top = _mod(top, bottom);
+            } while (top != start && pattern.length < maxDigits);
+            if (top != start) {
+                return whole + "." + digits + pattern + "...";
+            }
+            switch (notation) {
+            case "brackets":
+                pattern = "[" + pattern + "]";
+                break;
+            case "overline":
+                pattern = pattern.replace(/\d/g, "$&\u0305");
+                break;
+            default:
+                pattern = "(" + pattern + ")";
+            }
+            return whole + "." + digits + pattern;
         },
         /**
-         * From the Ratio instance, returns the raw values of the numerator and denominator in the form [numerator, denominator].
+         * From the Ratio instance, returns a new Ratio of the value as a percentage, which is the value times 100.<br/>
+         * If `digits` is passed, the percentage is rounded to that many digits after the decimal point, with the modes from `Ratio.prototype.round()`.
          *
-         * @method Ratio.prototype.toArray
-         * @return {Array} an array of 2 numbers.
+         * @method Ratio.prototype.toPercent
+         * @chainable
+         * @param {Number} [digits]
+         * @param {String} [roundingMode="half-up"]
+         * @return {Ratio}
          * @example
-        Ratio(1,2).toArray().join(',') === "1,2"
+        Ratio(1,8).toPercent().toString() === "100/8"
+        Ratio(1,3).toPercent(2).toString() === "3333/100"
          **/
-        toArray : function () {
-            return [this._n, this._d];
+        toPercent : function (digits, roundingMode) {
+            var obj = this.multiply(100);
+            if (digits === undefined || digits === null) {
+                return obj;
+            }
+            return obj.roundTo(_pow10(Math.max(0, Math.floor(+digits || 0))), roundingMode);
         },
         /**
-         * From the Ratio instance, returns the result of the numerator divided by the denominator.
+         * From the Ratio instance, returns the value as a percentage string, like "12.5%".<br/>
+         * Without `digits`, the percentage is written like `Ratio.prototype.toDecimal()`. Otherwise like `Ratio.prototype.toFixed()`.
          *
-         * @method Ratio.prototype.valueOf
-         * @return {Number}
+         * @method Ratio.prototype.toPercentString
+         * @param {Number} [digits]
+         * @param {String} [roundingMode="half-up"]
+         * @return {String}
          * @example
-        Example 1:
-        Ratio(1,2).valueOf() === 0.5;
+        Ratio(1,8).toPercentString() === "12.5%"
+        Ratio(2,3).toPercentString(1) === "66.7%"
          **/
-        valueOf : function () {
-            var arr = Ratio.simplifyENotation(this._n, this._d);
-            return arr[0] / arr[1];
+        toPercentString : function (digits, roundingMode) {
+            var obj = this.multiply(100);
+            return ((digits === undefined || digits === null) ? obj.toDecimal() : obj.toFixed(digits, roundingMode)) + "%";
         },
         /**
          * From the Ratio instance, returns a string of the Ratio in fraction form if the numerator and denominator are Rational numbers.<br/>
          * The output format can be a whole number, mixed number, NaN, proper fraction depending on the computed value of (numerator / denominator).
          *
+         * If `locales` or `options` are provided, the string is built by `.formatToParts(locales, options)` for that locale,
+         * otherwise the digits aren't grouped or localized.<br/>
+         * `options.formatter` can be a `Ratio.Formatter` to write the value with, using the digits of the locale.
+         *
          * @method Ratio.prototype.toLocaleString
+         * @param {String|Array} [locales]
+         * @param {Object} [options] See `.formatToParts()`
          * @return {String}
          * @example
         Example 1:
@@ -536,12 +3065,38 @@ var Ratio = (function () {
 
         Example 2:
         Ratio(0,0).toLocaleString() === "NaN"
+
+        Example 3:
+        Ratio(24691,2).toLocaleString("en-US") === "12,345 1/2"
+        Ratio(24691,2).toLocaleString("en-US", {style: "improper"}) === "24,691/2"
+        Ratio(1,8).toLocaleString("en-US", {style: "percent", maximumFractionDigits: 1}) === "12.5%"
          **/
-        toLocaleString : function () {
+        toLocaleString : function (locales, options) {
             var val = this.valueOf(),
+            parts,
+            i,
             x,
             str;
-            if (isNaN(val)) {
+            if (options && options.formatter) {
+                return options.formatter.format(this, locales, options);
+            }
+            if (locales !== undefined || options !== undefined) {
+                parts = this.formatToParts(locales, options);
+                for (str = "", i = 0; i < parts.length; i += 1) {
+                    str += parts[i].value;
+                }
+                return str;
+            }
+            if ((_isBigInt(this._n) || _isBigInt(this._d)) && this._d != 0 && !isNaN(val)) {
+                x = _divide(_subtract(this._n, _mod(this._n, this._d)), this._d);
+                if (!_mod(this._n, this._d)) {
+                    str = String(x);
+                } else if (x) {
+                    str = x + " " + _abs(_mod(this._n, this._d)) + String(this.divSign) + this._d;
+                } else {
+                    str = this._n + String(this.divSign) + this._d;
+                }
+            } else if (isNaN(val)) {
                 str = "NaN";
             } else if (val % 1 === 0 || this._d === 1 || !isFinite(val % 1)) {
                 str = String(val);
@@ -553,11 +3108,85 @@ var Ratio = (function () {
             }
             return str;
         },
+        /**
+         * From the Ratio instance, returns the value formatted for the locale as an array of `{type, value}` parts, for custom rendering.<br/>
+         * Uses `Intl.NumberFormat` for the digits and grouping separators, so "ar-EG" gives Arabic-Indic digits.<br/>
+         * `options.style` can be:<br/>
+         * `mixed` (default): A whole number and proper fraction, like "3 1/7". The parts have the types `minusSign`, `whole`, `literal`, `numerator`, `separator` and `denominator`.<br/>
+         * `improper`: A fraction, like "22/7", with the same types as `mixed`. Whole numbers are still written as a `whole`.<br/>
+         * `decimal` and `percent`: A decimal number, with the parts of `Intl.NumberFormat.prototype.formatToParts()`.<br/>
+         * The other options, like `useGrouping` and `maximumFractionDigits`, are passed to `Intl.NumberFormat`.
+         * NaN and Infinity are returned with the parts of `Intl.NumberFormat` for every style.
+         *
+         * @method Ratio.prototype.formatToParts
+         * @param {String|Array} [locales]
+         * @param {Object} [options]
+         * @return {Array}
+         * @example
+        Ratio(-22,7).formatToParts("en-US") // returns [
+            {type: "minusSign", value: "-"},
+            {type: "whole", value: "3"},
+            {type: "literal", value: " "},
+            {type: "numerator", value: "1"},
+            {type: "separator", value: "/"},
+            {type: "denominator", value: "7"}
+        ]
+         **/
+        formatToParts : function (locales, options) {
+            var obj = _toWholeRatio(this),
+            style = (options && options.style) || "mixed",
+            parts = [],
+            top,
+            bottom,
+            whole,
+            val,
+            i;
+            if (!obj) {
+                val = this.valueOf();
+                parts = _formatNumberToParts(val, locales, options, "decimal");
+                // Some versions of Intl give NaN a sign.
+                for (i = parts.length - 1; isNaN(val) && 0 <= i; i -= 1) {
+                    if (parts[i].type === "minusSign" || parts[i].type === "plusSign") {
+                        parts.splice(i, 1);
+                    }
+                }
+                return parts;
+            }
+            if (style === "decimal" || style === "percent") {
+                // Extra digits for the percent scaling, so the rounding is left to Intl.NumberFormat.
+                return _formatNumberToParts(obj.toDecimal(Math.max(Ratio.MAX_PRECISION, ((options && options.maximumFractionDigits) || 0) + 2)), locales, options, style);
+            }
+            if ((obj._n < 0) !== (obj._d < 0) && obj._n != 0) {
+                parts.push(_getMinusSignPart(locales, options));
+            }
+            top = _abs(obj._n);
+            bottom = _abs(obj._d);
+            whole = _divide(_subtract(top, _mod(top, bottom)), bottom);
+            if (style !== "improper" || _mod(top, bottom) == 0) {
+                top = _mod(top, bottom);
+                if (top == 0 || whole != 0) {
+                    parts.push({type : "whole", value : _formatWholeNumber(whole, locales, options)});
+                }
+                if (top == 0) {
+                    return parts;
+                }
+                if (whole != 0) {
+                    parts.push({type : "literal", value : " "});
+                }
+            }
+            parts.push({type : "numerator", value : _formatWholeNumber(top, locales, options)});
+            parts.push({type : "separator", value : String(this.divSign)});
+            parts.push({type : "denominator", value : _formatWholeNumber(bottom, locales, options)});
+            return parts;
+        },
         /**
          * From the Ratio instance, returns the raw values of the numerator and denominator in the form "a/b".<br/>
-         * Note: The division symbol can be change by modification of the `divSign` property.
+         * The output can be changed by passing a `Ratio.Formatter`, or by setting `Ratio.formatter` for every call.
+         * Other arguments, like a radix, are ignored.<br/>
+         * Note: The division symbol can be change by modification of the `divSign` property, but that's deprecated. Use the `separator` of a `Ratio.Formatter` instead.
          *
          * @method Ratio.prototype.toString
+         * @param {Ratio.Formatter} [formatter=Ratio.formatter]
          * @return {String}
          * @example
         Example 1:
@@ -568,8 +3197,192 @@ var Ratio = (function () {
         a.divSign = ":";
         a.toString() == "8:2";
          **/
-        toString : function () {
-            return String(this._n + this.divSign + this._d);
+        toString : function (formatter) {
+            if (!formatter || typeof formatter.format !== "function") {
+                formatter = (Ratio.formatter && typeof Ratio.formatter.format === "function") ? Ratio.formatter : Ratio.Formatter.prototype;
+            }
+            return formatter.format(this);
+        },
+        /**
+         * From the Ratio instance, returns a string of the value in lowest terms using Unicode fractions.<br/>
+         * Uses a vulgar fraction glyph, like "\u215b", when one exists, and otherwise superscript and subscript digits around a fraction slash.
+         * Whole and mixed numbers are written like `.toLocaleString()`, and negative values start with a minus sign (U+2212).
+         *
+         * @method Ratio.prototype.toUnicodeString
+         * @return {String}
+         * @example
+        Ratio(1,2).toUnicodeString() === "\u00bd"
+        Ratio(25,8).toUnicodeString() === "3\u215b"
+        Ratio(2,4).toUnicodeString() === "\u00bd"
+        Ratio(17,23).toUnicodeString() === "\u00b9\u2077\u2044\u2082\u2083"
+        Ratio(-4,2).toUnicodeString() === "\u22122"
+         **/
+        toUnicodeString : function () {
+            var obj = _toWholeRatio(this),
+            parts,
+            sign,
+            glyph;
+            if (!obj) {
+                return this.toLocaleString();
+            }
+            parts = _getMixedParts(obj.simplify());
+            sign = parts.isNegative ? "\u2212" : "";
+            if (parts.top == 0) {
+                return sign + parts.whole;
+            }
+            sign += (parts.whole == 0) ? "" : parts.whole;
+            for (glyph in _vulgarFractions) {
+                if (_vulgarFractions.hasOwnProperty(glyph) && _vulgarFractions[glyph] === parts.top + "/" + parts.bottom) {
+                    return sign + glyph;
+                }
+            }
+            return sign + _replaceDigits(parts.top, _superscriptDigits) + "\u2044" + _replaceDigits(parts.bottom, _subscriptDigits);
+        },
+        /**
+         * From the Ratio instance, returns the value as LaTeX math, like "\\frac{1}{3}" or "-3\\tfrac{1}{7}".<br/>
+         * The sign and mixed numbers are the same as `.toLocaleString()`.<br/>
+         * Options:<br/>
+         * `mixed`: If false, then improper fractions aren't written as mixed numbers. Default is true.<br/>
+         * `display`: If true, then fractions are written with `\\dfrac`, so they keep the display size inside text. Default is false.
+         *
+         * @method Ratio.prototype.toLaTeX
+         * @param {Object} [options]
+         * @return {String}
+         * @example
+        Ratio(1,3).toLaTeX() === "\\frac{1}{3}"
+        Ratio(-22,7).toLaTeX() === "-3\\tfrac{1}{7}"
+        Ratio(-22,7).toLaTeX({mixed: false}) === "-\\frac{22}{7}"
+        Ratio(1,0).toLaTeX() === "\\infty"
+         **/
+        toLaTeX : function (options) {
+            var obj = _toWholeRatio(this),
+            isDisplay = !!(options && options.display),
+            parts,
+            val,
+            str;
+            if (!obj) {
+                val = this.valueOf();
+                return isNaN(val) ? "\\mathrm{NaN}" : ((val < 0) ? "-" : "") + "\\infty";
+            }
+            parts = _getMixedDigits(obj, options && options.mixed === false);
+            str = parts.isNegative ? "-" : "";
+            if (parts.top == 0) {
+                return str + parts.whole;
+            }
+            if (parts.whole != 0) {
+                return str + parts.whole + (isDisplay ? "\\dfrac" : "\\tfrac") + "{" + parts.top + "}{" + parts.bottom + "}";
+            }
+            return str + (isDisplay ? "\\dfrac" : "\\frac") + "{" + parts.top + "}{" + parts.bottom + "}";
+        },
+        /**
+         * From the Ratio instance, returns the value as a MathML `<math>` element, with an `<mfrac>` for the fraction.<br/>
+         * Mixed numbers and signs are grouped in an `<mrow>`. The sign and mixed numbers are the same as `.toLocaleString()`.<br/>
+         * Options:<br/>
+         * `mixed`: If false, then improper fractions aren't written as mixed numbers. Default is true.<br/>
+         * `display`: If true, then the `<math>` element has `display="block"`. Default is false.
+         *
+         * @method Ratio.prototype.toMathML
+         * @param {Object} [options]
+         * @return {String}
+         * @example
+        Ratio(1,3).toMathML() === '<math xmlns="http://www.w3.org/1998/Math/MathML"><mfrac><mn>1</mn><mn>3</mn></mfrac></math>'
+        Ratio(-22,7).toMathML() === '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow><mo>&#x2212;</mo><mn>3</mn><mfrac><mn>1</mn><mn>7</mn></mfrac></mrow></math>'
+         **/
+        toMathML : function (options) {
+            var obj = _toWholeRatio(this),
+            items = [],
+            parts,
+            val;
+            if (!obj) {
+                val = this.valueOf();
+                if (val < 0) {
+                    items.push("<mo>&#x2212;</mo>");
+                }
+                items.push(isNaN(val) ? "<mi>NaN</mi>" : "<mi>&#x221E;</mi>");
+            } else {
+                parts = _getMixedDigits(obj, options && options.mixed === false);
+                if (parts.isNegative) {
+                    items.push("<mo>&#x2212;</mo>");
+                }
+                if (parts.whole != 0 || parts.top == 0) {
+                    items.push("<mn>" + parts.whole + "</mn>");
+                }
+                if (parts.top != 0) {
+                    items.push("<mfrac><mn>" + parts.top + "</mn><mn>" + parts.bottom + "</mn></mfrac>");
+                }
+            }
+            return "<math xmlns=\"http://www.w3.org/1998/Math/MathML\"" + ((options && options.display) ? " display=\"block\"" : "") + ">" +
+                ((1 < items.length) ? "<mrow>" + items.join("") + "</mrow>" : items[0]) + "</math>";
+        },
+        /**
+         * From the Ratio instance, returns a standalone SVG image of the value, for teaching fractions.<br/>
+         * The image is built as a string, so it doesn't need a DOM.<br/>
+         * Options:<br/>
+         * `type`: `bar` (default), `pie` or `numberLine`. Bars and pies draw one shape per whole, so 7/3 is drawn as 3 shapes, and negative values are drawn by their absolute value.
+         * The number line runs over the wholes between 0 and the value, with ticks at every 1/denominator.<br/>
+         * `size`: Diameter of each pie. Default is 100.<br/>
+         * `width` and `height`: Size of each bar, defaults are 200 and 40, or the size of the number line, defaults are 400 and 60.<br/>
+         * `gap`: Space between the shapes. Default is 10.<br/>
+         * `fill`, `background` and `stroke`: Colors of the filled parts, unfilled parts and lines.<br/>
+         * `maxParts`: Denominators larger than this aren't divided into parts or ticks. Default is 100.<br/>
+         * `maxWholes`: Most wholes to draw. Larger values throw a RangeError, instead of building a huge image. Default is 100.<br/>
+         * The `<title>` of the image is `.toLocaleString()`. NaN and Infinity return an empty image.
+         *
+         * @method Ratio.prototype.toSVG
+         * @param {Object} [options]
+         * @return {String}
+         * @throws {RangeError} if the value needs more than `options.maxWholes` wholes.
+         * @example
+        Ratio(7,3).toSVG({type: "pie"}) // returns '<svg xmlns="http://www.w3.org/2000/svg" width="322" height="102" viewBox="0 0 322 102"><title>2 1/3</title>...</svg>'
+         **/
+        toSVG : function (options) {
+            var obj = _toWholeRatio(this),
+            settings = {},
+            parts = {},
+            arr = [0, 0, ""],
+            key;
+            for (key in _svgDefaults) {
+                if (_hasOwnProperty(_svgDefaults, key)) {
+                    settings[key] = (options && options[key] !== undefined && options[key] !== null) ? options[key] : _svgDefaults[key];
+                }
+            }
+            settings.label = this.toLocaleString();
+            if (obj) {
+                parts = _getMixedParts(obj);
+                for (key in parts) {
+                    if (_hasOwnProperty(parts, key) && key !== "isNegative") {
+                        parts[key] = Number(parts[key]);
+                    }
+                }
+                parts.count = Math.max(1, parts.whole + (parts.top ? 1 : 0));
+                if (!(parts.count <= settings.maxWholes)) {
+                    throw new RangeError("Ratio(" + this + ").toSVG() needs " + parts.count + " wholes, but options.maxWholes is " + settings.maxWholes + ".");
+                }
+                arr = (_hasOwnProperty(_svgDrawings, settings.type) ? _svgDrawings[settings.type] : _svgDrawings.bar)(parts, settings);
+            }
+            return _toSVGElement("svg", {
+                xmlns : "http://www.w3.org/2000/svg",
+                width : arr[0],
+                height : arr[1],
+                viewBox : "0 0 " + _toSVGNumber(arr[0]) + " " + _toSVGNumber(arr[1])
+            }, _toSVGElement("title", {}, _escapeXML(settings.label)) + arr[2]);
+        },
+        /**
+         * From the Ratio instance, returns the value drawn as a stacked fraction for a terminal, with the numerator centered over a dash line over the denominator.<br/>
+         * The sign and whole number are on the left, like `.toLocaleString()`. See `Ratio.toAsciiArt()` to draw a row of Ratios side by side.
+         *
+         * @method Ratio.prototype.toAsciiArt
+         * @param {Object} [options] See `Ratio.toAsciiArt()`
+         * @return {String}
+         * @example
+        Ratio(-12345,678).toAsciiArt() === [
+            "     141",
+            "-18 -----",
+            "     678"
+        ].join("\n")
+         **/
+        toAsciiArt : function (options) {
+            return Ratio.toAsciiArt([this], options);
         },
         /**
          * Returns a new instance of the current Ratio.<br/>
@@ -579,18 +3392,22 @@ var Ratio = (function () {
          * @param {Number} [top]
          * @param {Number} [bottom]
          * @param {Boolean} [alwaysReduce]
+         * @param {Boolean} [useBigInt]
          * @return {Ratio}
          * @example
         var a = Ratio(2,4);
         var b = a.clone();
         a.equals(b) === true;
          **/
-        clone : function (top, bottom, alwaysReduce) {
+        clone : function (top, bottom, alwaysReduce, useBigInt) {
             var func = Ratio.getValueIfDefined;
             top = func(this._n, top);
             bottom = func(this._d, bottom);
             alwaysReduce = func(this.alwaysReduce, alwaysReduce);
-            return new Ratio(top, bottom, alwaysReduce);
+            useBigInt = func(this.useBigInt, useBigInt);
+            var obj = _createUnchecked(top, bottom, alwaysReduce, useBigInt);
+            obj.strict = this.strict;
+            return obj;
         },
         /**
          * Determines if a current instance value is not a number.
@@ -614,6 +3431,9 @@ var Ratio = (function () {
          **/
         simplify : function () {
             var arr = Ratio.simplify(this._n, this._d);
+            if (!this.useBigInt) {
+                arr = [_demote(arr[0]), _demote(arr[1])];
+            }
             return this.clone(arr[0], arr[1]);
         },
         /**
@@ -633,14 +3453,14 @@ var Ratio = (function () {
             top,
             bottom;
             if (this._d === obj._d) {
-                top = this._n + obj._n;
+                top = _add(this._n, obj._n);
                 bottom = this._d;
             } else {
                 x = Ratio.gcd(this._d, obj._d);
-                top = ((this._n * obj._d) + (this._d * obj._n)) / x;
-                bottom = (this._d * obj._d) / x;
+                top = _divide(_add(_multiply(this._n, obj._d), _multiply(this._d, obj._n)), x);
+                bottom = _divide(_multiply(this._d, obj._d), x);
             }
-            return this.clone(top, bottom);
+            return _checkResult(this.clone(top, bottom), "add", [this, obj]);
         },
         /**
          * Divides the current Ratio by another Ratio.
@@ -655,20 +3475,52 @@ var Ratio = (function () {
          **/
         divide : function (obj, obj2) {
             obj = Ratio.getCombinedRatio(obj, obj2);
-            return this.clone(this._n * obj._d, this._d * obj._n);
+            return _checkResult(this.clone(_multiply(this._n, obj._d), _multiply(this._d, obj._n)), "divide", [this, obj]);
         },
         /**
-         * Returns if the current Ratio and another object have the same numeric value.
+         * Returns if the current Ratio and another object have the same numeric value.<br/>
+         * The values are compared as floats, so use `Ratio.prototype.exactEquals()` when precision matters.
          *
          * @method Ratio.prototype.equals
          * @param {Object} obj
          * @return {Boolean}
          * @example
         Ratio(1,2).equals( 1/2 ) === true
+        Ratio(1,3).equals( 1/3 ) === true
          **/
         equals : function (obj) {
-            var val = (Ratio.isNumeric(obj) || obj instanceof Ratio) ? obj.valueOf() : Ratio.parse(obj).valueOf();
-            return (this._n / this._d) === +val;
+            var val = (Ratio.isNumeric(obj) || obj instanceof Ratio) ? obj.valueOf() : _parse(obj).valueOf();
+            return _quotient(this._n, this._d) === +val;
+        },
+        /**
+         * Returns if the current Ratio and another object have the same numeric value, without converting either to a float.<br/>
+         * The values are compared as if both were simplified. Numbers and strings are converted with `Ratio.parse()` first.
+         *
+         * @method Ratio.prototype.exactEquals
+         * @param {Object} obj
+         * @return {Boolean}
+         * @example
+        Ratio(2,4).exactEquals( "1/2" ) === true
+        Ratio(1,3).exactEquals( 1/3 ) === false // 1/3 is 0.3333333333333333
+         **/
+        exactEquals : function (obj) {
+            return this.compare(obj) === 0;
+        },
+        /**
+         * Returns if the float values of the current Ratio and another object differ by no more than the tolerance.
+         *
+         * @method Ratio.prototype.approxEquals
+         * @param {Object} obj
+         * @param {Ratio|Number|String} [tolerance=0]
+         * @return {Boolean}
+         * @example
+        Ratio(1,3).approxEquals( 1/3 ) === true
+        Ratio(22,7).approxEquals( Math.PI, 0.01 ) === true
+         **/
+        approxEquals : function (obj, tolerance) {
+            var val = (Ratio.isNumeric(obj) || obj instanceof Ratio) ? +obj.valueOf() : _parse(obj).valueOf(),
+            x = this.valueOf();
+            return x === val || Math.abs(x - val) <= +Ratio.getCombinedRatio(Ratio.getValueIfDefined(0, tolerance));
         },
         /**
          * Performs a strict comparison to determine if the current instances and passed object are identical.
@@ -682,7 +3534,75 @@ var Ratio = (function () {
         deepEquals : function (obj) {
             return (obj instanceof Ratio) && (this._n === obj._n) &&
             (this._d === obj._d) && (this.divSign === obj.divSign) &&
-            (this.alwaysReduce === obj.alwaysReduce);
+            (this.alwaysReduce === obj.alwaysReduce) && (this.useBigInt === obj.useBigInt) &&
+            (this.strict === obj.strict);
+        },
+        /**
+         * Compares the current Ratio to another value without converting either to a float.<br/>
+         * Returns -1 if the current Ratio is smaller, 1 if it's larger, 0 if they're equal and NaN if either is NaN.
+         *
+         * @method Ratio.prototype.compare
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Number}
+         * @example
+        Ratio(1,3).compare(1,2) === -1
+         */
+        compare : function (obj, obj2) {
+            obj = Ratio.getCombinedRatio(obj, obj2);
+            return _compare(this._n, this._d, obj._n, obj._d);
+        },
+        /**
+         * Determines if the current Ratio is smaller than another value.
+         *
+         * @method Ratio.prototype.lessThan
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Boolean}
+         * @example
+        Ratio(1,3).lessThan(1,2) === true
+         */
+        lessThan : function (obj, obj2) {
+            return this.compare(obj, obj2) < 0;
+        },
+        /**
+         * Determines if the current Ratio is smaller than or equal to another value.
+         *
+         * @method Ratio.prototype.lessThanOrEqual
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Boolean}
+         * @example
+        Ratio(1,2).lessThanOrEqual("2/4") === true
+         */
+        lessThanOrEqual : function (obj, obj2) {
+            return this.compare(obj, obj2) <= 0;
+        },
+        /**
+         * Determines if the current Ratio is larger than another value.
+         *
+         * @method Ratio.prototype.greaterThan
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Boolean}
+         * @example
+        Ratio(1,2).greaterThan(1,3) === true
+         */
+        greaterThan : function (obj, obj2) {
+            return 0 < this.compare(obj, obj2);
+        },
+        /**
+         * Determines if the current Ratio is larger than or equal to another value.
+         *
+         * @method Ratio.prototype.greaterThanOrEqual
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Boolean}
+         * @example
+        Ratio(1,2).greaterThanOrEqual("2/4") === true
+         */
+        greaterThanOrEqual : function (obj, obj2) {
+            return 0 <= this.compare(obj, obj2);
         },
         /**
          * Multiply the current Ratio by another Ratio.
@@ -697,7 +3617,7 @@ var Ratio = (function () {
          **/
         multiply : function (obj, obj2) {
             obj = Ratio.getCombinedRatio(obj, obj2);
-            return this.clone(this._n * obj._n, this._d * obj._d);
+            return _checkResult(this.clone(_multiply(this._n, obj._n), _multiply(this._d, obj._d)), "multiply", [this, obj]);
         },
         /**
          * Subtracts the current Ratio from another Ratio.
@@ -716,14 +3636,14 @@ var Ratio = (function () {
             top,
             bottom;
             if (this._d === obj._d) {
-                top = this._n - obj._n;
+                top = _subtract(this._n, obj._n);
                 bottom = this._d;
             } else {
                 x = Ratio.gcd(this._d, obj._d);
-                top = ((this._n * obj._d) - (this._d * obj._n)) / x;
-                bottom = (this._d * obj._d) / x;
+                top = _divide(_subtract(_multiply(this._n, obj._d), _multiply(this._d, obj._n)), x);
+                bottom = _divide(_multiply(this._d, obj._d), x);
             }
-            return this.clone(top, bottom);
+            return _checkResult(this.clone(top, bottom), "subtract", [this, obj]);
         },
         /**
          * Returns an new Ratio scaled down by a factor from the current instance.
@@ -738,10 +3658,15 @@ var Ratio = (function () {
          **/
         descale : function (obj, obj2) {
             var factor = Ratio.getCombinedRatio(obj, obj2);
-            return this.clone(this._n / factor, this._d / factor);
+            return _checkResult(this.clone(_divide(this._n, +factor), _divide(this._d, +factor)), "descale", [this, factor]);
         },
         /**
-         * From the Ratio instance, returns an new Ratio raised to a power.
+         * From the Ratio instance, returns an new Ratio raised to a power.<br/>
+         * The result is exact whenever it's rational, including negative powers and roots of perfect powers.
+         * Otherwise the numerator and denominator are each raised to the power as floats, so use `Ratio.prototype.nthRoot()` for a close fraction instead.<br/>
+         * The returned Ratio has an `approximate` property, which is true for float results and false for exact ones.<br/>
+         * Whole number results beyond Ratio.MAX_VALUE become BigInts if `Ratio.autoPromote` is on,
+         * and a RangeError is thrown if one would need more than Ratio.MAX_BIT_LENGTH bits.
          *
          * @method Ratio.prototype.pow
          * @chainable
@@ -750,10 +3675,51 @@ var Ratio = (function () {
          * @return {Ratio}
          * @example
         Ratio(2,4).pow(4).toString() === "16/256"
+        Ratio(2,3).pow(-2).toString() === "9/4"
+        Ratio(4,9).pow(1,2).toString() === "2/3"
+        Ratio(8,27).pow("-2/3").toString() === "9/4"
+        Ratio(2).pow(1,2).approximate === true
          **/
         pow : function (obj, obj2) {
-            var power = Ratio.getCombinedRatio(obj, obj2);
-            return this.clone(Math.pow(this._n, +power), Math.pow(this._d, +power));
+            var power = Ratio.getCombinedRatio(obj, obj2),
+            exact = _getExactPower(this, power),
+            parts = exact || [_pow(this._n, +power), _pow(this._d, +power)],
+            result = this.clone(parts[0], parts[1]);
+            result.approximate = !exact && !result.isNaN();
+            return _checkResult(result, "pow", [this, power]);
+        },
+        /**
+         * Returns a new Ratio of the nth root of the current Ratio.<br/>
+         * If the root isn't rational, the simplest fraction within `tolerance` of the root is returned instead.
+         * The returned Ratio has an `approximate` property, which is true for approximations and false for exact roots.
+         * Even roots of negative values return NaN.
+         *
+         * @method Ratio.prototype.nthRoot
+         * @chainable
+         * @param {Number} n a positive whole number.
+         * @param {Ratio|Number|String} [tolerance=1e-10]
+         * @return {Ratio}
+         * @example
+        Ratio(-8,27).nthRoot(3).toString() === "-2/3"
+        Ratio(2).nthRoot(2, 0.001).toString() === "41/29"
+        Ratio(2).nthRoot(2, 0.001).approximate === true
+         **/
+        nthRoot : function (n, tolerance) {
+            return _checkResult(_nthRoot(this, n, tolerance), "nthRoot", [this, n]);
+        },
+        /**
+         * Returns a new Ratio of the square root of the current Ratio. See `Ratio.prototype.nthRoot()`.
+         *
+         * @method Ratio.prototype.sqrt
+         * @chainable
+         * @param {Ratio|Number|String} [tolerance=1e-10]
+         * @return {Ratio}
+         * @example
+        Ratio(9,16).sqrt().toString() === "3/4"
+        Ratio(1,2).sqrt(0.01).toString() === "7/10"
+         **/
+        sqrt : function (tolerance) {
+            return _checkResult(_nthRoot(this, 2, tolerance), "sqrt", [this]);
         },
         /**
          * From the Ratio instance, returns a new Ratio scaled up by a factor.
@@ -768,7 +3734,7 @@ var Ratio = (function () {
          **/
         scale : function (obj, obj2) {
             var factor = Ratio.getCombinedRatio(obj, obj2);
-            return this.clone(this._n * +factor, this._d * +factor);
+            return _checkResult(this.clone(_multiply(this._n, +factor), _multiply(this._d, +factor)), "scale", [this, factor]);
         },
         /**
          * From the Ratio instance, returns a new Ratio by parsing the numerator and denominator.<br/>
@@ -786,9 +3752,12 @@ var Ratio = (function () {
             var re = Ratio.regex.cleanFormat,
             obj;
             if (re.test(this._n) || re.test(this._d)) {
-                return Ratio.parse(this._n, this._d);
+                return _parse(this._n, this._d);
             }
             obj = this.clone();
+            if (_isBigInt(obj._n) || _isBigInt(obj._d)) {
+                return obj;
+            }
             obj._n = Ratio.getCleanENotation(obj._n);
             obj._d = Ratio.getCleanENotation(obj._d);
             return obj;
@@ -803,20 +3772,77 @@ var Ratio = (function () {
         Ratio(-3,2).abs().toString() === "3/2"
          **/
         abs : function () {
-            return this.clone(Math.abs(this._n));
+            return _checkResult(this.clone(_abs(this._n)), "abs", [this]);
         },
         /**
-         * From the Ratio instance, returns a new Ratio in the form of (numerator mod denominator)/1.<br/>
+         * Returns a new Ratio of the current Ratio modulo another Ratio. The result has the same sign as the divisor, like `%` in Python.<br/>
+         * Without arguments, returns a new Ratio in the form of (numerator mod denominator)/1.
          * Which is the same as Ratio( (numerator % denominator), 1 ).
          *
          * @method Ratio.prototype.mod
          * @chainable
+         * @param {Ratio|Number|String} [obj]
+         * @param {Ratio|Number|String} [obj2]
          * @return {Ratio}
          * @example
+        Ratio(7,2).mod(2,3).toString() === "1/6"
+        Ratio(-7,2).mod(2,3).toString() === "3/6"
         Ratio(3,10).mod().toString() === "3/1"
          **/
-        mod : function () {
-            return this.clone(this._n % this._d, 1);
+        mod : function (obj, obj2) {
+            if (obj === undefined && obj2 === undefined) {
+                return _checkResult(this.clone(_mod(this._n, this._d), 1), "mod", [this]);
+            }
+            obj = Ratio.getCombinedRatio(obj, obj2);
+            return _checkResult(_getRemainder(this, obj, "floor"), "mod", [this, obj]);
+        },
+        /**
+         * Returns a new Ratio of the remainder from dividing the current Ratio by another Ratio.
+         * The result has the same sign as the dividend, like `%` in javascript.
+         *
+         * @method Ratio.prototype.remainder
+         * @chainable
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Ratio}
+         * @example
+        Ratio(7,2).remainder(2,3).toString() === "1/6"
+        Ratio(-7,2).remainder(2,3).toString() === "-1/6"
+         **/
+        remainder : function (obj, obj2) {
+            obj = Ratio.getCombinedRatio(obj, obj2);
+            return _checkResult(_getRemainder(this, obj, "toward-zero"), "remainder", [this, obj]);
+        },
+        /**
+         * Returns a new Ratio of the floor of the current Ratio divided by another Ratio.
+         *
+         * @method Ratio.prototype.intDiv
+         * @chainable
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Ratio}
+         * @example
+        Ratio(7,2).intDiv(2,3).toString() === "5/1"
+        Ratio(-7,2).intDiv(2,3).toString() === "-6/1"
+         **/
+        intDiv : function (obj, obj2) {
+            obj = Ratio.getCombinedRatio(obj, obj2);
+            var q = _getIntegerQuotient(this, obj, "floor");
+            return _checkResult(this.clone(q === null ? NaN : q, 1), "intDiv", [this, obj]);
+        },
+        /**
+         * Returns an array of two new Ratios, [quotient, remainder], where the quotient is `.intDiv()` and the remainder is `.mod()`.
+         *
+         * @method Ratio.prototype.divmod
+         * @param {Ratio|Number|String} obj
+         * @param {Ratio|Number|String} [obj2]
+         * @return {Array} [Ratio, Ratio]
+         * @example
+        Ratio(7,2).divmod(2,3).join(",") === "5/1,1/6"
+         **/
+        divmod : function (obj, obj2) {
+            obj = Ratio.getCombinedRatio(obj, obj2);
+            return [this.intDiv(obj), this.mod(obj)];
         },
         /**
          * Returns a new instance of the Ratio with the sign toggled.
@@ -828,7 +3854,7 @@ var Ratio = (function () {
         Ratio(1,2).negate().toString() === "-1/2"
          **/
         negate : function () {
-            return this.clone(-this._n);
+            return _checkResult(this.clone(-this._n), "negate", [this]);
         },
         /**
          * Determines if the current Ratio is a proper fraction.
@@ -839,7 +3865,7 @@ var Ratio = (function () {
         Ratio(12,3).isProper() == false;
          **/
         isProper : function () {
-            return Math.abs(this._n) < this._d;
+            return _abs(this._n) < this._d;
         },
         /**
          * Determines the value of x. Solves the following equations.<br/>
@@ -860,7 +3886,7 @@ var Ratio = (function () {
             if (arr.length !== 2 || (!isNaN(arr[0]) && !isNaN(arr[1]))) {
                 return null;
             }
-            return (isNaN(arr[0]) ? new Ratio(arr[1]).multiply(this) : new Ratio(arr[0]).divide(this));
+            return (isNaN(arr[0]) ? _createUnchecked(arr[1]).multiply(this) : _createUnchecked(arr[0]).divide(this));
         },
         /**
          * Switches the numerator and denominator positions.
@@ -904,7 +3930,101 @@ var Ratio = (function () {
                     prevDiff = diff;
                 }
             }
-            return this.clone(Math.round(val * x), x);
+            return _checkResult(this.clone(Math.round(val * x), x), "toQuantityOf", [this].concat(Array.prototype.slice.call(arguments)));
+        },
+        /**
+         * Returns the closest fraction to the current Ratio that has a denominator no larger than `maxDenominator`.<br/>
+         * Works the same as `Fraction.limit_denominator()` in Python. Returns a copy of the current Ratio if its denominator is small enough.
+         *
+         * @method Ratio.prototype.limitDenominator
+         * @chainable
+         * @param {Number} [maxDenominator=1000000]
+         * @return {Ratio}
+         * @example
+        Ratio.parse(Math.PI).limitDenominator(1000).toString() === "355/113"
+        Ratio(1,3).limitDenominator(10).toString() === "1/3"
+         */
+        limitDenominator : function (maxDenominator) {
+            var max = +Ratio.getValueIfDefined(1000000, maxDenominator),
+            obj = _toWholeRatio(this),
+            convergents,
+            bound1,
+            bound2,
+            distance1,
+            distance2,
+            k,
+            i = 2;
+            if (!(1 <= max)) {
+                return this.clone(NaN, 1);
+            }
+            if (!obj || obj._d <= max) {
+                return this.clone();
+            }
+            convergents = _getConvergents(_getContinuedFraction(obj._n, obj._d));
+            while (convergents[i][1] <= max) {
+                i += 1;
+            }
+            k = _floorDivide(_subtract(Math.floor(max), convergents[i - 2][1]), convergents[i - 1][1]);
+            bound1 = [_add(convergents[i - 2][0], _multiply(k, convergents[i - 1][0])), _add(convergents[i - 2][1], _multiply(k, convergents[i - 1][1]))];
+            bound2 = convergents[i - 1];
+            distance1 = _getDistance(bound1[0], bound1[1], obj);
+            distance2 = _getDistance(bound2[0], bound2[1], obj);
+            if (_compare(distance1[0], distance1[1], distance2[0], distance2[1]) < 0) {
+                bound2 = bound1;
+            }
+            return this.clone(bound2[0], bound2[1]);
+        },
+        /**
+         * Returns the terms of the continued fraction of the current Ratio, [a0; a1, a2, ...], as an array.<br/>
+         * Returns an empty array if the numerator or denominator can't be made whole, or the denominator is 0.
+         *
+         * @method Ratio.prototype.toContinuedFraction
+         * @return {Array}
+         * @example
+        Ratio(355,113).toContinuedFraction().join(",") === "3,7,16"
+        Ratio(-7,3).toContinuedFraction().join(",") === "-3,1,2"
+         */
+        toContinuedFraction : function () {
+            var obj = _toWholeRatio(this);
+            return obj ? _getContinuedFraction(obj._n, obj._d) : [];
+        },
+        /**
+         * Returns an iterator of the convergents of the continued fraction of the current Ratio.<br/>
+         * Each call to `.next()` returns `{value: Ratio, done: false}` for the next convergent, until `{value: undefined, done: true}`.
+         * The iterator also works with `for...of` where supported.
+         *
+         * @method Ratio.prototype.convergents
+         * @return {Object} iterator
+         * @example
+        var it = Ratio(355,113).convergents();
+        it.next().value.toString() === "3/1";
+        it.next().value.toString() === "22/7";
+        it.next().value.toString() === "355/113";
+        it.next().done === true;
+         */
+        convergents : function () {
+            var self = this,
+            arr = _getConvergents(this.toContinuedFraction()),
+            i = 2,
+            iterator = {
+                next : function () {
+                    var pair = arr[i];
+                    i += 1;
+                    return pair ? {
+                        value : self.clone(pair[0], pair[1]),
+                        done : false
+                    } : {
+                        value : undefined,
+                        done : true
+                    };
+                }
+            };
+            if (typeof Symbol === "function" && Symbol.iterator) {
+                iterator[Symbol.iterator] = function () {
+                    return this;
+                };
+            }
+            return iterator;
         },
         /**
          * Returns a new Ratio from the floor of the current Ratio instance.
@@ -916,7 +4036,7 @@ var Ratio = (function () {
         Ratio.parse(4.2).floor().toString() === "4/1"
          */
         floor : function () {
-            return this.clone(Math.floor(this.valueOf()), 1);
+            return this.round("floor");
         },
         /**
          * Returns a new Ratio from the ceil of the current Ratio instance.
@@ -928,7 +4048,40 @@ var Ratio = (function () {
         Ratio.parse(4.2).ceil().toString() === "5/1"
          */
         ceil : function () {
-            return this.clone(Math.ceil(this.valueOf()), 1);
+            return this.round("ceiling");
+        },
+        /**
+         * Returns a new Ratio from the current instance rounded to a whole number.<br/>
+         * Computed exactly from the numerator and denominator.<br/>
+         * Rounding modes: `half-up` (default, ties away from zero), `half-down` (ties toward zero), `half-even` (banker's rounding),
+         * `toward-zero`, `away-from-zero`, `floor` and `ceiling`.
+         *
+         * @method Ratio.prototype.round
+         * @chainable
+         * @param {String} [roundingMode="half-up"]
+         * @return {Ratio}
+         * @example
+        Ratio(5,2).round().toString() === "3/1"
+        Ratio(5,2).round("half-even").toString() === "2/1"
+         */
+        round : function (roundingMode) {
+            return _checkResult(_roundTo(this, 1, roundingMode), "round", [this]);
+        },
+        /**
+         * Returns a new Ratio from the current instance rounded to the nearest multiple of 1/denominator.<br/>
+         * Takes the same rounding modes as `Ratio.prototype.round()`.
+         *
+         * @method Ratio.prototype.roundTo
+         * @chainable
+         * @param {Ratio|Number|String} denominator
+         * @param {String} [roundingMode="half-up"]
+         * @return {Ratio}
+         * @example
+        Ratio(1,3).roundTo(8).toString() === "3/8"
+        Ratio.parse("2.125").roundTo(4, "half-even").toString() === "8/4"
+         */
+        roundTo : function (denominator, roundingMode) {
+            return _checkResult(_roundTo(this, denominator, roundingMode), "roundTo", [this, Ratio.getValueIfDefined(1, denominator)]);
         },
         /**
          * Returns a new Ratio by removing the integer part of the current instance.
@@ -941,7 +4094,7 @@ var Ratio = (function () {
         Ratio.parse(4.2).makeProper().toString() === "2/10"
          */
         makeProper : function () {
-            return this.clone(this._n % this._d, this._d);
+            return this.clone(_mod(this._n, this._d), this._d);
         }
         /**
          * Use Ratio.prototype.simplify() instead.
@@ -345,6 +345,282 @@ var runTests = function () {
 		equal(new Ratio(1e-4, 3), 1e-4 / 3);
 	});
 	
+	test("test Ratio.prototype.toFixed()", function () {
+		var func = function (a, b, digits, mode) {
+			return Ratio.parse(a, b).toFixed(digits, mode);
+		};
+		equal(func(1, 7, 40), "0.1428571428571428571428571428571428571429");
+		equal(func(1, 7), "0");
+		equal(func(22, 7, 3), "3.143");
+		equal(func(-22, 7, 3), "-3.143");
+		equal(func(1, 8, 5), "0.12500");
+		equal(func(-1, 10000, 2), "-0.00");
+		equal(func(0.11, 0.3, 3), "0.367");
+		equal(func(1, 0, 2), "Infinity");
+		equal(func("apples", 1, 2), "NaN");
+	});
+	test("test Ratio.prototype.toFixed() with integer parts of several digits", function () {
+		var func = function (a, b, digits, mode) {
+			return Ratio.parse(a, b).toFixed(digits, mode);
+		};
+		equal(func(12345, 100, 2), "123.45");
+		equal(func(-12345, 100, 1), "-123.5");
+		equal(func(100, 1, 1), "100.0");
+		equal(func(1000, 3, 3), "333.333");
+		equal(func(1000, 3), "333");
+	});
+	test("test Ratio.prototype.toFixed() with rounding modes", function () {
+		var func = function (a, b, mode) {
+			return Ratio.parse(a, b).toFixed(0, mode);
+		};
+		equal(func(5, 2), "3");
+		equal(func(-5, 2), "-3");
+		equal(func(5, 2, "half-down"), "2");
+		equal(func(-5, 2, "half-down"), "-2");
+		equal(func(5, 2, "half-even"), "2");
+		equal(func(7, 2, "half-even"), "4");
+		equal(func(-5, 2, "half-even"), "-2");
+		equal(func(22, 7, "ceiling"), "4");
+		equal(func(-22, 7, "ceiling"), "-3");
+		equal(func(22, 7, "floor"), "3");
+		equal(func(-22, 7, "floor"), "-4");
+		equal(func(-22, 7, "toward-zero"), "-3");
+		equal(func(-22, 7, "away-from-zero"), "-4");
+		equal(func(5, 2, "unknown"), "3");
+	});
+	test("test Ratio.prototype.toPrecision()", function () {
+		var func = function (a, b, precision) {
+			return Ratio.parse(a, b).toPrecision(precision);
+		};
+		equal(func(1, 7, 3), "0.143");
+		equal(func(200000, 3, 2), "6.7e+4");
+		equal(func(999, 1000, 1), "1");
+		equal(func(12345, 100), "123.45");
+		equal(func(999, 1000, 2), "1.0");
+		equal(func(1, 3000000, 2), "3.3e-7");
+		equal(func(1, 300000, 2), "0.0000033");
+		equal(func(-12345, 1, 3), "-1.23e+4");
+		equal(func(0, 1, 3), "0.00");
+		equal(func(9995, 1000, 3), "10.0", "9.995 as a Number is 9.99499999...");
+		equal(func("123456789012345678901234567890", 1, 5), "1.2346e+29");
+		equal(func(1, 3), "0.3333333333333333");
+	});
+	test("test Ratio.prototype.toDecimal()", function () {
+		var func = function (a, b, maxDigits) {
+			return Ratio.parse(a, b).toDecimal(maxDigits);
+		};
+		equal(func(1, 8), "0.125");
+		equal(func(-3, 40), "-0.075");
+		equal(func(5, 1), "5");
+		equal(func(12345, 100), "123.45");
+		equal(func(1000, 3, 4), "333.3333");
+		equal(func(1, 1024), "0.0009765625");
+		equal(func(1, 3), "0.3333333333333333");
+		equal(func(1, 3, 5), "0.33333");
+		equal(func(2, 3, 0), "1");
+		equal(func(1, 6, 3), "0.167");
+		equal(func(1, 0), "Infinity");
+	});
+	
+	test("test Ratio.prototype.toRepeatingDecimal()", function () {
+		var func = function (a, b, notation, maxDigits) {
+			return Ratio.parse(a, b).toRepeatingDecimal(notation, maxDigits);
+		};
+		equal(func(1, 6), "0.1(6)");
+		equal(func(-7, 3), "-2.(3)");
+		equal(func(22, 7, "brackets"), "3.[142857]");
+		equal(func(-1, 6, "overline"), "-0.16\u0305");
+		equal(func(1, 8), "0.125");
+		equal(func(10, 2), "5");
+		equal(func(1, 97).length, 2 + 96 + 2);
+		equal(func(1, 97, null, 10), "0.0103092783...");
+		equal(func(1, 0), "Infinity");
+	});
+	test("test Ratio.prototype.toPercent()", function () {
+		var func = function (a, b, digits, mode) {
+			return new Ratio(a, b).toPercent(digits, mode).toString();
+		};
+		equal(func(1, 8), "100/8");
+		equal(func(1, 3, 2), "3333/100");
+		equal(func(2, 3, 1), "667/10");
+		equal(func(2, 3, 1, "floor"), "666/10");
+		equal(func(-1, 3, 0), "-33/1");
+	});
+	test("test Ratio.prototype.toPercentString()", function () {
+		var func = function (a, b, digits, mode) {
+			return new Ratio(a, b).toPercentString(digits, mode);
+		};
+		equal(func(1, 8), "12.5%");
+		equal(func(3, 2), "150%");
+		equal(func(12345, 100), "12345%");
+		equal(func(-1, 200), "-0.5%");
+		equal(func(2, 3, 1), "66.7%");
+		equal(func(2, 3, 1, "toward-zero"), "66.6%");
+		equal(func(1, 8, 2), "12.50%");
+	});
+	test("test Ratio.prototype.toLocaleString() with locales and options", function () {
+		var func = function (a, b, locales, options) {
+			return new Ratio(a, b).toLocaleString(locales, options);
+		};
+		equal(func(24691, 2, "en-US"), "12,345 1/2");
+		equal(func(-22, 7, "en-US"), "-3 1/7");
+		equal(func(1, 3, "en-US"), "1/3");
+		equal(func(8, 2, "en-US"), "4");
+		equal(func(24691, 2, "en-US", {style : "improper"}), "24,691/2");
+		equal(func(24691, 2, "en-US", {style : "mixed", useGrouping : false}), "12345 1/2");
+		// Some builds of node only have the locale data for English.
+		if (new Intl.NumberFormat("ar-EG").format(1) === "\u0661") {
+			equal(func(22, 7, "ar-EG"), "\u0663 \u0661/\u0667");
+		}
+		equal(func(1, 3, "en-US", {style : "decimal", maximumFractionDigits : 5}), "0.33333");
+		equal(func(12345, 100, "en-US", {style : "decimal"}), "123.45");
+		equal(func(12345, 100, "en-US", {style : "percent"}), "12,345%");
+		equal(func(1, 8, "en-US", {style : "percent", maximumFractionDigits : 1}), "12.5%");
+		equal(func(0, 0, "en-US"), "NaN");
+		if (typeof BigInt === "function") {
+			equal(new Ratio(BigInt(-7), BigInt(2)).toLocaleString("en-US"), "-3 1/2");
+			equal(new Ratio(BigInt("123456789012345678901"), BigInt(2)).toLocaleString("en-US"), "61,728,394,506,172,839,450 1/2");
+			equal(new Ratio(BigInt("123456789012345678901234567"), BigInt(7)).toLocaleString("en-US", {style : "decimal"}), "17,636,684,144,620,811,271,604,938.143");
+			equal(new Ratio(BigInt("-123456789012345678901234567"), BigInt(7)).toLocaleString("en-US", {style : "percent", useGrouping : false}), "-1763668414462081127160493814%");
+		}
+	});
+	test("test Ratio.prototype.formatToParts()", function () {
+		var func = function (a, b, locales, options) {
+			return new Ratio(a, b).formatToParts(locales, options);
+		};
+		deepEqual(func(-22, 7, "en-US"), [
+			{type : "minusSign", value : "-"},
+			{type : "whole", value : "3"},
+			{type : "literal", value : " "},
+			{type : "numerator", value : "1"},
+			{type : "separator", value : "/"},
+			{type : "denominator", value : "7"}
+		]);
+		deepEqual(func(22, 7, "en-US", {style : "improper"}), [
+			{type : "numerator", value : "22"},
+			{type : "separator", value : "/"},
+			{type : "denominator", value : "7"}
+		]);
+		deepEqual(func(3, 1, "en-US"), [{type : "whole", value : "3"}]);
+		deepEqual(func(1, 2, "en-US", {style : "decimal"}), [
+			{type : "integer", value : "0"},
+			{type : "decimal", value : "."},
+			{type : "fraction", value : "5"}
+		]);
+	});
+	test("test Ratio.prototype.toLaTeX()", function () {
+		var func = function (a, b, options) {
+			return new Ratio(a, b).toLaTeX(options);
+		};
+		equal(func(1, 3), "\\frac{1}{3}");
+		equal(func(-1, 3), "-\\frac{1}{3}");
+		equal(func(-22, 7), "-3\\tfrac{1}{7}");
+		equal(func(-22, 7, {mixed : false}), "-\\frac{22}{7}");
+		equal(func(22, 7, {display : true}), "3\\dfrac{1}{7}");
+		equal(func(1, 3, {display : true}), "\\dfrac{1}{3}");
+		equal(func(-4, 2), "-2");
+		equal(func(0, 5), "0");
+		equal(func(-1, 0), "-\\infty");
+		equal(func(0, 0), "\\mathrm{NaN}");
+		equal(func(1e22), "10000000000000000000000");
+		equal(func(1, 1e22), "\\frac{1}{10000000000000000000000}");
+		if (typeof BigInt === "function") {
+			equal(func(-1e22, 3), "-3333333333333333333333\\tfrac{1}{3}");
+		}
+	});
+	test("test Ratio.prototype.toMathML()", function () {
+		var func = function (a, b, options) {
+			return new Ratio(a, b).toMathML(options).replace(/^<math[^>]*>|<\/math>$/g, "");
+		};
+		equal(func(1, 3), "<mfrac><mn>1</mn><mn>3</mn></mfrac>");
+		equal(func(-1, 3), "<mrow><mo>&#x2212;</mo><mfrac><mn>1</mn><mn>3</mn></mfrac></mrow>");
+		equal(func(22, 7), "<mrow><mn>3</mn><mfrac><mn>1</mn><mn>7</mn></mfrac></mrow>");
+		equal(func(-22, 7), "<mrow><mo>&#x2212;</mo><mn>3</mn><mfrac><mn>1</mn><mn>7</mn></mfrac></mrow>");
+		equal(func(22, 7, {mixed : false}), "<mfrac><mn>22</mn><mn>7</mn></mfrac>");
+		equal(func(4, 2), "<mn>2</mn>");
+		equal(func(1, 0), "<mi>&#x221E;</mi>");
+		equal(func(1e22), "<mn>10000000000000000000000</mn>");
+		equal(func(1, 1e22), "<mfrac><mn>1</mn><mn>10000000000000000000000</mn></mfrac>");
+		if (typeof BigInt === "function") {
+			equal(func(1e22, 3), "<mrow><mn>3333333333333333333333</mn><mfrac><mn>1</mn><mn>3</mn></mfrac></mrow>");
+		}
+		equal(new Ratio(1, 2).toMathML(), "<math xmlns=\"http://www.w3.org/1998/Math/MathML\"><mfrac><mn>1</mn><mn>2</mn></mfrac></math>");
+		equal(new Ratio(1, 2).toMathML({display : true}).indexOf("<math xmlns=\"http://www.w3.org/1998/Math/MathML\" display=\"block\">"), 0);
+	});
+	test("test Ratio.prototype.toSVG()", function () {
+		var count = function (str, name) {
+			return str.split("<" + name + " ").length - 1;
+		};
+		var svg = new Ratio(1, 2).toSVG();
+		equal(svg, '<svg xmlns="http://www.w3.org/2000/svg" width="202" height="42" viewBox="0 0 202 42"><title>1/2</title>' +
+			'<rect x="1" y="1" width="200" height="40" fill="#ffffff"/><rect x="1" y="1" width="100" height="40" fill="#4e79a7"/>' +
+			'<line x1="101" y1="1" x2="101" y2="41" stroke="#333333"/><rect x="1" y="1" width="200" height="40" fill="none" stroke="#333333"/></svg>');
+		svg = new Ratio(7, 3).toSVG({type : "pie"});
+		equal(svg.indexOf('<svg xmlns="http://www.w3.org/2000/svg" width="322" height="102" viewBox="0 0 322 102"><title>2 1/3</title>'), 0);
+		equal(count(svg, "circle"), 6, "3 pies, each with a fill and an outline");
+		equal(count(svg, "path"), 1, "only the last pie is partly filled");
+		equal(count(svg, "line"), 9);
+		svg = new Ratio(7, 3).toSVG({type : "bar", width : 90, gap : 0, fill : "red"});
+		equal(count(svg, "rect"), 9);
+		ok(-1 < svg.indexOf('<rect x="181" y="1" width="30" height="40" fill="red"/>'));
+		svg = new Ratio(-7, 3).toSVG({type : "numberLine"});
+		equal(count(svg, "line"), 11, "the axis and ticks at every 1/3 from -3 to 0");
+		ok(-1 < svg.indexOf('<circle cx="100" cy="30" r="4" fill="#4e79a7"/>'));
+		ok(-1 < svg.indexOf(">-2 1/3</text>"));
+		equal(count(new Ratio(1, 1000).toSVG(), "line"), 0, "denominators over maxParts aren't divided");
+		equal(new Ratio(0, 0).toSVG(), '<svg xmlns="http://www.w3.org/2000/svg" width="0" height="0" viewBox="0 0 0 0"><title>NaN</title></svg>');
+		ok(-1 < new Ratio(1, 2).toSVG({stroke : "\"><script>"}).indexOf('stroke="&quot;&gt;&lt;script&gt;"'));
+	});
+	test("test Ratio.prototype.toSVG() with too many wholes", function () {
+		equal(new Ratio(100, 1).toSVG({type : "pie"}).split("<circle ").length - 1, 200);
+		raises(function () {
+			new Ratio(201, 2).toSVG();
+		}, RangeError);
+		raises(function () {
+			new Ratio(1e6, 1).toSVG({type : "numberLine"});
+		}, RangeError);
+		raises(function () {
+			new Ratio(-7, 3).toSVG({type : "pie", maxWholes : 2});
+		}, RangeError);
+		equal(new Ratio(150, 1).toSVG({maxWholes : 150}).indexOf("<svg "), 0);
+	});
+	test("test Ratio.prototype.toAsciiArt()", function () {
+		var func = function (a, b, options) {
+			return new Ratio(a, b).toAsciiArt(options);
+		};
+		equal(func(1, 2), " 1\n---\n 2");
+		equal(func(-12345, 678), "     141\n-18 -----\n     678");
+		equal(func(12345, 678, {mixed : false}), " 12345\n-------\n  678");
+		equal(func(-1, 3), "   1\n- ---\n   3");
+		equal(func(-6, 2), "-3");
+		equal(func(0, 0), "NaN");
+	});
+	test("test Ratio.toAsciiArt()", function () {
+		var func = Ratio.toAsciiArt;
+		equal(func([new Ratio(1, 2), "+", new Ratio(1, 3), "=", new Ratio(5, 6)]), " 1     1     5\n--- + --- = ---\n 2     3     6");
+		equal(func([new Ratio(1, 2), "=", new Ratio(2, 4)], {gap : 2}), " 1       2\n---  =  ---\n 2       4");
+		equal(func([new Ratio(2), "+", 3]), "2 + 3");
+		equal(func([]), "");
+	});
+	test("test Ratio.prototype.toUnicodeString()", function () {
+		var func = function (a, b) {
+			return new Ratio(a, b).toUnicodeString();
+		};
+		equal(func(1, 2), "\u00bd");
+		equal(func(3, 4), "\u00be");
+		equal(func(25, 8), "3\u215b");
+		equal(func(-1, 3), "\u2212\u2153");
+		equal(func(17, 23), "\u00b9\u2077\u2044\u2082\u2083");
+		equal(func(123, 10), "12\u00b3\u2044\u2081\u2080");
+		equal(func(2, 4), "\u00bd");
+		equal(func(-34, 46), "\u2212\u00b9\u2077\u2044\u2082\u2083");
+		equal(func(1.5, 2), "\u00be");
+		equal(func(-4, 2), "\u22122");
+		equal(func(0, 3), "0");
+		equal(func(1, 0), "Infinity");
+		equal(Ratio.parse(func(-25, 8)).equals("-25/8"), true);
+	});
+	
 	module("Ratio Instance Property Change");
 	test("test divider sign change", function () {
 		var a = new Ratio(1, 2);
@@ -352,6 +628,79 @@ var runTests = function () {
 		a.divSign = ":";
 		equal(a.toLocaleString(), "1:2");
 	});
+	
+	module("Formatters");
+	test("test Ratio.Formatter templates", function () {
+		var f = new Ratio.Formatter({
+				mixed : "{sign}{whole} {num}/{den}",
+				whole : "{sign}{whole}"
+			});
+		equal(f.format(new Ratio(-22, 7)), "-3 1/7");
+		equal(f.format(new Ratio(8, 2)), "4");
+		equal(f.format(new Ratio(-1, 3)), "-1/3");
+		equal(f.format("1 1/2"), "1 1/2");
+		equal(Ratio.Formatter({fraction : "{num} : {den}"}).format(new Ratio(16, 9)), "16 : 9");
+		equal(Ratio.Formatter({fraction : "{num}{sep}{den}", separator : "\u2044"}).format(new Ratio(1, 3)), "1\u20443");
+		equal(Ratio.Formatter({mixed : "{whole} {sign}{num}/{den}"}).format(new Ratio(-7, 2)), "3 -1/2");
+		equal(Ratio.Formatter({positiveSign : "+"}).format(new Ratio(1, 2)), "+1/2");
+		equal(Ratio.Formatter({negativeSign : "\u2212"}).format(new Ratio(-1, 2)), "\u22121/2");
+	});
+	test("test Ratio.Formatter for zero, NaN and Infinity", function () {
+		var f = new Ratio.Formatter({
+				zero : "0",
+				nan : "not a number",
+				infinity : "{sign}\u221e"
+			});
+		equal(f.format(new Ratio(0, 5)), "0");
+		equal(f.format(new Ratio(0, 0)), "not a number");
+		equal(f.format(new Ratio(NaN, 1)), "not a number");
+		equal(f.format(new Ratio(1, 0)), "\u221e");
+		equal(f.format(new Ratio(-1, 0)), "-\u221e");
+		equal(new Ratio.Formatter().format(new Ratio(1, 0)), "1/0");
+	});
+	test("test Ratio.prototype.toString() with formatters", function () {
+		var f = new Ratio.Formatter({whole : "{sign}{whole}"}),
+		old = Ratio.formatter,
+		a = new Ratio(1, 2);
+		equal(new Ratio(8, 2).toString(f), "4");
+		equal(new Ratio(8, 2).toString(), "8/2");
+		a.divSign = ":";
+		equal(a.toString(), "1:2");
+		equal(a.toString(Ratio.Formatter({separator : "/"})), "1/2");
+		Ratio.formatter = f;
+		try {
+			equal(new Ratio(8, 2).toString(), "4");
+			equal(new Ratio(1, 2).toString(), "1/2");
+		} finally {
+			Ratio.formatter = old;
+		}
+		equal(new Ratio(8, 2).toString(), "8/2");
+	});
+	test("test Ratio.prototype.toString() ignores arguments that aren't formatters", function () {
+		var a = new Ratio(8, 2),
+		old = Ratio.formatter;
+		equal(a.toString(10), "8/2");
+		equal(a.toString({}), "8/2");
+		equal(a.toString("{num}"), "8/2");
+		equal(a.toString({format : function () {
+					return "four";
+				}}), "four");
+		Ratio.formatter = null;
+		try {
+			equal(a.toString(), "8/2");
+		} finally {
+			Ratio.formatter = old;
+		}
+	});
+	test("test Ratio.prototype.toLocaleString() with formatters", function () {
+		var f = new Ratio.Formatter({
+				mixed : "{sign}{whole} {num}/{den}"
+			});
+		equal(new Ratio(24691, 2).toLocaleString("en-US", {formatter : f}), "12,345 1/2");
+		if (new Intl.NumberFormat("ar-EG").format(1) === "\u0661") {
+			equal(new Ratio(22, 7).toLocaleString("ar-EG", {formatter : f}), "\u0663 \u0661/\u0667");
+		}
+	});
 	test("test changing numerator", function () {
 		var a,
 		b;
@@ -388,6 +737,8 @@ var runTests = function () {
 		equal(func(1.1), "decimal");
 		equal(func("-1.1"), "decimal");
 		equal(func("+1.1"), "decimal");
+		equal(func("1.00000000000000000001"), "decimal");
+		equal(func("1.000"), "number");
 	});
 	test("test Ratio.guessType() for output as `e`", function () {
 		var func = Ratio.guessType;
@@ -395,6 +746,42 @@ var runTests = function () {
 		equal(func(1.1e30), "e");
 		equal(func(-1.1e-23), "e");
 		equal(func(+1.1e+23), "e");
+		equal(func("1e3"), "e");
+		equal(func("1.25e-400"), "e");
+	});
+	test("test Ratio.guessType() for output as `repeating`", function () {
+		var func = Ratio.guessType;
+		
+		equal(func("0.(142857)"), "repeating");
+		equal(func("-1.1[6]"), "repeating");
+		equal(func("0.333..."), "repeating");
+		equal(func(".(3)"), "repeating");
+		equal(func("0.(3"), "NaN");
+		equal(func("0.3..3"), "NaN");
+	});
+	test("test Ratio.guessType() for output as `percent`, `permille`, `colon` and `aspect`", function () {
+		var func = Ratio.guessType;
+		
+		equal(func("12.5%"), "percent");
+		equal(func("-.5 %"), "percent");
+		equal(func("3\u2030"), "permille");
+		equal(func("3:4"), "colon");
+		equal(func("3 : 4"), "colon");
+		equal(func("16x9"), "aspect");
+		equal(func("16 \u00d7 9"), "aspect");
+		equal(func("%"), "NaN");
+		equal(func("3:"), "NaN");
+		equal(func("10x"), "NaN");
+	});
+	test("test Ratio.guessType() for Unicode fractions", function () {
+		var func = Ratio.guessType;
+		
+		equal(func("\u00bd"), "fraction");
+		equal(func("1\u20443"), "fraction");
+		equal(func("\u22122/5"), "fraction");
+		equal(func("\u00b9\u2077\u2044\u2082\u2083"), "fraction");
+		equal(func("3\u215b"), "mixed");
+		equal(func("\u22125"), "number");
 	});
 	test("test Ratio.guessType() for output as `mixed`", function () {
 		var func = Ratio.guessType;
@@ -502,6 +889,66 @@ var runTests = function () {
 		deepEqual(func("-2.0004e-2"), [-20004, 1000000]);
 		deepEqual(func("-2.0004e-5"), [-20004, 1000000000]);
 		deepEqual(func("-1.34e-30"), [-134, 1e+32]);
+		deepEqual(func("1.25e-7"), [125, 1000000000]);
+		deepEqual(func("-3.0e-1"), [-3, 10]);
+		deepEqual(func("1E3"), [1000, 1]);
+	});
+	test("test Ratio.parseToArray() with decimal strings that don't fit in a Number", function () {
+		if (typeof BigInt !== "function") {
+			ok(true, "BigInt isn't supported.");
+			return;
+		}
+		var func = function (a) {
+			return Ratio.parseToArray(a).join(",");
+		};
+		equal(func("0.12345678901234567890"), "1234567890123456789,10000000000000000000");
+		equal(func("-1.00000000000000000001"), "-100000000000000000001,100000000000000000000");
+		equal(func("1.5e-400"), "15," + "1" + new Array(402).join("0"));
+		equal(func("12345678901234567.5e3"), "12345678901234567500,1");
+		equal(Ratio.parse("0.1").exactEquals(Ratio.parse("0.10000000000000000001")), false);
+		equal(Ratio.parse("1e-400").valueOf(), 0);
+		ok(Ratio.parse("1e-400").greaterThan(0));
+	});
+	test("test Ratio.parseToArray() with repeating decimals", function () {
+		var func = function (a) {
+			return Ratio.parse(a).simplify().toString();
+		};
+		equal(func("0.(142857)"), "1/7");
+		equal(func("0.1[6]"), "1/6");
+		equal(func("0.333..."), "1/3");
+		equal(func("0.1666\u2026"), "1/6");
+		equal(func("0.142857142857..."), "1/7");
+		equal(func("-1.(3)"), "-4/3");
+		equal(func("12.34(56)"), "61111/4950");
+		equal(func("0.(9)"), "1/1");
+		equal(func("2.5(0)"), "5/2");
+		deepEqual(Ratio.parseToArray("0.1(6)"), [15, 90]);
+	});
+	test("test Ratio.parseToArray() with percentages and ratios", function () {
+		var func = Ratio.parseToArray;
+		deepEqual(func("12.5%"), [125, 1000]);
+		deepEqual(func("-50%"), [-50, 100]);
+		deepEqual(func("1e2%"), [100, 100]);
+		deepEqual(func("3\u2030"), [3, 1000]);
+		deepEqual(func("3:4"), [3, 4]);
+		deepEqual(func(" 3 : 4 "), [3, 4]);
+		deepEqual(func("1.5:-2"), [-15, 20]);
+		deepEqual(func("16x9"), [16, 9]);
+		deepEqual(func("16X9"), [16, 9]);
+		equal(Ratio.parse("0.1%").equals("1/1000"), true);
+	});
+	test("test Ratio.parseToArray() with Unicode fractions", function () {
+		var func = Ratio.parseToArray;
+		deepEqual(func("\u00bd"), [1, 2]);
+		deepEqual(func("\u00be"), [3, 4]);
+		deepEqual(func("3\u215b"), [25, 8]);
+		deepEqual(func("-3\u215b"), [-25, 8]);
+		deepEqual(func("1\u20443"), [1, 3]);
+		deepEqual(func("\u22122/5"), [-2, 5]);
+		deepEqual(func("\u00b9\u2077\u2044\u2082\u2083"), [17, 23]);
+		deepEqual(func("2\u00b9\u2044\u2082"), [5, 2]);
+		deepEqual(func("\u215f\u2087"), [1, 7]);
+		deepEqual(func("2\u215f\u2087"), [15, 7]);
 	});
 	test("test Ratio.parseToArray() with fractions", function () {
 		var func = Ratio.parseToArray;
@@ -639,6 +1086,36 @@ var runTests = function () {
 		equal(func(1, 2, "1/22"), false);
 		equal(func(1, 5, "5"), false);
 	});
+	test("test Ratio.prototype.equals() compares float values", function () {
+		equal(new Ratio(1, 3).equals(1 / 3), true);
+		equal(new Ratio(1, 3).equals("1/3"), true);
+		equal(new Ratio(0, 0).equals(new Ratio(0, 0)), false);
+		if (typeof BigInt === "function") {
+			equal(Ratio.parse("1/9007199254740993").equals("1/9007199254740992"), true);
+		}
+	});
+	test("test Ratio.prototype.exactEquals()", function () {
+		equal(new Ratio(2, 4).exactEquals("1/2"), true);
+		equal(new Ratio(-3, 6).exactEquals(new Ratio(1, -2)), true);
+		equal(new Ratio(1, 3).exactEquals(1 / 3), false, "1/3 as a Number is 0.3333333333333333");
+		equal(new Ratio(1, 10).add(2, 10).exactEquals(0.3), true);
+		equal(new Ratio(1, 0).exactEquals(Infinity), true);
+		equal(new Ratio(0, 0).exactEquals(new Ratio(0, 0)), false);
+		if (typeof BigInt === "function") {
+			equal(Ratio.parse("1/9007199254740993").exactEquals("1/9007199254740992"), false);
+			equal(Ratio.parse("1/9007199254740993").exactEquals("2/18014398509481986"), true);
+			equal(new Ratio(1, BigInt("9007199254740993")).exactEquals(new Ratio(1, BigInt("9007199254740992"))), false);
+		}
+	});
+	test("test Ratio.prototype.approxEquals()", function () {
+		equal(new Ratio(1, 3).approxEquals(1 / 3), true);
+		equal(new Ratio(1, 3).approxEquals("0.333"), false);
+		equal(new Ratio(1, 3).approxEquals("0.333", "1/1000"), true);
+		equal(new Ratio(22, 7).approxEquals(Math.PI, 0.01), true);
+		equal(new Ratio(22, 7).approxEquals(Math.PI, 0.001), false);
+		equal(new Ratio(1, 0).approxEquals(Infinity), true);
+		equal(new Ratio(0, 0).approxEquals(NaN, 1), false);
+	});
 	test("test Ratio.prototype.deepEquals()", function () {
 		var func = function (a, b, c) {
 			return Ratio.parse(a, b).deepEquals(c);
@@ -700,6 +1177,56 @@ var runTests = function () {
 		equal(fn(1,-2), false);
 		equal(fn(-1e-50), false);
 	});
+	test("test Ratio.prototype.compare()", function () {
+		var func = function (a, b, c) {
+			return Ratio.parse(a, b).compare(c);
+		};
+		equal(func(1, 3, "1/2"), -1);
+		equal(func(1, 2, "1/3"), 1);
+		equal(func(1, 2, "2/4"), 0);
+		equal(func(-1, 2, "-1/3"), -1);
+		equal(func(1, 0, 5), 1);
+		equal(func(-1, 0, Ratio(2, 0)), -1);
+		equal(func(Infinity, 1, Infinity), 0);
+		ok(isNaN(func(0, 0, 1)));
+		ok(isNaN(func(1, 2, "apples")));
+		equal(new Ratio(1, 3).compare(1, 2), -1);
+	});
+	test("test Ratio.prototype.compare() for close large fractions", function () {
+		var a = new Ratio(9007199254740991, 9007199254740990),
+		b = new Ratio(9007199254740990, 9007199254740989);
+		equal(a.valueOf(), b.valueOf(), "same as floats");
+		equal(a.compare(b), -1);
+		equal(b.compare(a), 1);
+		Ratio.autoPromote = false;
+		try {
+			equal(a.compare(b), -1, "without Ratio.autoPromote");
+		} finally {
+			Ratio.autoPromote = true;
+		}
+	});
+	test("test Ratio.prototype.lessThan(), lessThanOrEqual(), greaterThan() and greaterThanOrEqual()", function () {
+		var a = new Ratio(1, 3);
+		equal(a.lessThan(1, 2), true);
+		equal(a.lessThan("2/6"), false);
+		equal(a.lessThanOrEqual("2/6"), true);
+		equal(a.lessThanOrEqual(0.3), false);
+		equal(a.greaterThan(0.3), true);
+		equal(a.greaterThan("1/3"), false);
+		equal(a.greaterThanOrEqual("1/3"), true);
+		equal(a.greaterThanOrEqual("1/2"), false);
+		equal(a.lessThan(NaN), false);
+		equal(a.greaterThanOrEqual(NaN), false);
+	});
+	test("test Ratio.min(), Ratio.max() and Ratio.comparator()", function () {
+		var arr = ["1/2", new Ratio(1, 3), 0.25, "-1 1/2"].sort(Ratio.comparator);
+		equal(arr.join(","), "-1 1/2,0.25,1/3,1/2");
+		equal(Ratio.min("1/2", new Ratio(1, 3), 0.4).toString(), "1/3");
+		equal(Ratio.max("1/2", new Ratio(1, 3), 0.4).toString(), "1/2");
+		equal(Ratio.min().toString(), "Infinity/1");
+		equal(Ratio.max().toString(), "-Infinity/1");
+		equal(Ratio.max(1, "apples").isNaN(), true);
+	});
 	module("Math Operations Requiring Extra Terms");
 	test("test addition with +, Ratio.prototype.valueOf() is called", function () {
 		var func = function (a, b, c, d) {
@@ -836,6 +1363,88 @@ var runTests = function () {
 		equal(func(5, 20), "5");
 		equal(func(5e2, 21), "17");
 	});
+	test("test Ratio.prototype.mod() with a divisor", function () {
+		var func = function (a, b, c) {
+			return Ratio.parse(a).mod(b, c).simplify().toString();
+		};
+		equal(func("7/2", 2, 3), "1/6");
+		equal(func("7/2", "2/3"), "1/6");
+		equal(func("-7/2", "2/3"), "1/2");
+		equal(func("7/2", "-2/3"), "-1/2");
+		equal(func("-7/2", "-2/3"), "-1/6");
+		equal(func(3, "3/2"), "0/1");
+		equal(func("1/2", 0), "NaN/1");
+	});
+	test("test Ratio.prototype.remainder()", function () {
+		var func = function (a, b, c) {
+			return Ratio.parse(a).remainder(b, c).simplify().toString();
+		};
+		equal(func("7/2", 2, 3), "1/6");
+		equal(func("-7/2", "2/3"), "-1/6");
+		equal(func("7/2", "-2/3"), "1/6");
+		equal(func("-7/2", "-2/3"), "-1/6");
+		equal(func("1/2", 0), "NaN/1");
+	});
+	test("test Ratio.prototype.intDiv()", function () {
+		var func = function (a, b, c) {
+			return Ratio.parse(a).intDiv(b, c).toString();
+		};
+		equal(func("7/2", 2, 3), "5/1");
+		equal(func("-7/2", "2/3"), "-6/1");
+		equal(func("7/2", "-2/3"), "-6/1");
+		equal(func("-7/2", "-2/3"), "5/1");
+		equal(func("1/2", 0), "NaN/1");
+	});
+	test("test Ratio.prototype.divmod()", function () {
+		var func = function (a, b, c) {
+			var arr = Ratio.parse(a).divmod(b, c);
+			return arr[0].toString() + "," + arr[1].simplify().toString();
+		};
+		equal(func("7/2", 2, 3), "5/1,1/6");
+		equal(func("-7/2", "2/3"), "-6/1,1/2");
+		var arr = Ratio(-7, 2).divmod(2, 3);
+		ok(arr[0].multiply(2, 3).add(arr[1]).equals("-7/2"));
+	});
+	test("test Ratio.prototype.pow()", function () {
+		var func = function (a, b, c) {
+			return Ratio.parse(a).pow(b, c).toString();
+		};
+		equal(func("2/4", 4), "16/256");
+		equal(func("2/3", -2), "9/4");
+		equal(func("-2/3", -3), "-27/8");
+		equal(func("4/9", 1, 2), "2/3");
+		equal(func("8/18", "1/2"), "2/3");
+		equal(func("8/27", "-2/3"), "9/4");
+		equal(func("-8/27", "1/3"), "-2/3");
+		equal(func("2/3", 0), "1/1");
+		equal(func(2, 1, 2), Math.SQRT2 + "/1", "irrational results are floats.");
+		equal(func(-4, 1, 2), "NaN/1");
+		equal(Ratio(2).pow(1, 2).approximate, true);
+		equal(Ratio(4, 9).pow(1, 2).approximate, false);
+		equal(Ratio(2, 3).pow(-2).approximate, false);
+		equal(Ratio(-4).pow(1, 2).approximate, false);
+	});
+	test("test Ratio.prototype.nthRoot()", function () {
+		var a = Ratio(-8, 27).nthRoot(3),
+		b = Ratio(2).nthRoot(2, 0.001),
+		c = Ratio(5, 7).nthRoot(5, "1/10000000");
+		
+		equal(a.toString(), "-2/3");
+		equal(a.approximate, false);
+		equal(b.toString(), "41/29");
+		equal(b.approximate, true);
+		ok(Ratio(5, 7).lessThanOrEqual(c.add(1, 10000000).pow(5)) && c.subtract(1, 10000000).pow(5).lessThanOrEqual(5, 7), "within the tolerance");
+		equal(Ratio(-2).nthRoot(3, 0.001).toString(), "-34/27");
+		equal(Ratio(-2).nthRoot(2).toString(), "NaN/1");
+		equal(Ratio(2).nthRoot(0).toString(), "NaN/1");
+		equal(Ratio(2).nthRoot(2, 0).toString(), "NaN/1");
+	});
+	test("test Ratio.prototype.sqrt()", function () {
+		equal(Ratio(9, 16).sqrt().toString(), "3/4");
+		equal(Ratio(18, 32).sqrt().toString(), "3/4");
+		equal(Ratio(1, 2).sqrt(0.01).toString(), "7/10");
+		ok(Math.abs(Ratio(2).sqrt().valueOf() - Math.SQRT2) <= 1e-10);
+	});
 	test("test Ratio.prototype.negate()", function () {
 		var func = function (a, b) {
 			return (new Ratio(a, b)).negate().toLocaleString();
@@ -863,6 +1472,39 @@ var runTests = function () {
 		equal(func(1, -2), "-1/1");
 		equal(func(-1e-10, 2e22), "-1/1");
 	});
+	test("test Ratio.prototype.round()", function () {
+		var modes = ["half-up", "half-down", "half-even", "toward-zero", "away-from-zero", "floor", "ceiling"],
+		func = function (a, b) {
+			var x = new Ratio(a, b),
+			arr = [];
+			for (var i = 0; i < modes.length; i++) {
+				arr.push(x.round(modes[i]).toString());
+			}
+			return arr.join(" ");
+		};
+		equal(func(5, 2), "3/1 2/1 2/1 2/1 3/1 2/1 3/1");
+		equal(func(-5, 2), "-3/1 -2/1 -2/1 -2/1 -3/1 -3/1 -2/1");
+		equal(func(7, 2), "4/1 3/1 4/1 3/1 4/1 3/1 4/1");
+		equal(func(22, 7), "3/1 3/1 3/1 3/1 4/1 3/1 4/1");
+		equal(func(-22, 7), "-3/1 -3/1 -3/1 -3/1 -4/1 -4/1 -3/1");
+		equal(func(3, 1), "3/1 3/1 3/1 3/1 3/1 3/1 3/1");
+		equal(new Ratio(5, 2).round().toString(), "3/1");
+		equal(new Ratio(1, 0).round().toString(), "Infinity/1");
+		equal(new Ratio(0, 0).round().toString(), "NaN/1");
+	});
+	test("test Ratio.prototype.roundTo()", function () {
+		var func = function (a, denominator, mode) {
+			return Ratio.parse(a).roundTo(denominator, mode).toString();
+		};
+		equal(func("1/3", 8), "3/8");
+		equal(func("1/3", -8), "3/8");
+		equal(func("2.125", 4, "half-even"), "8/4");
+		equal(func("2.375", 4, "half-even"), "10/4");
+		equal(func("2.675", 100), "268/100", "2.675 as a Number is 2.67499999...");
+		equal(func("-2.675", 100, "half-down"), "-267/100");
+		equal(func("1/3", "1/2"), "0/1");
+		equal(func("1/3", 0), "NaN/1");
+	});
 	test("test Ratio.prototype.reciprocal()", function () {
 		equal(new Ratio(1, 2).reciprocal().toString(), "2/1");
 	});
@@ -1077,6 +1719,562 @@ var runTests = function () {
 		equal(func(1, 2, [1, 2, 3, 4]), "1/2");
 	});
 	
+	module("BigInt Mode");
+	test("test Ratio with BigInt numerators and denominators", function () {
+		if (typeof BigInt !== "function") {
+			ok(true, "BigInt isn't supported.");
+			return;
+		}
+		var a = new Ratio(1, 3, false, true),
+		b = a;
+		for (var i = 0; i < 30; i++) {
+			b = b.multiply(7, 11);
+		}
+		equal(a.useBigInt, true);
+		equal(a.toArray().join(","), "1,3");
+		equal(typeof a.toArray()[1], "bigint");
+		equal(b.toString(), "22539340290692258087863249/52348206806659221955676411261403");
+		equal(b.divide(b).simplify().toString(), "1/1");
+		equal(b.subtract(b).simplify().toString(), "0/1");
+		equal(b.add(1, 2).toString(), "52348251885339803340192586987901/104696413613318443911352822522806");
+		ok(Math.abs(b.valueOf() - Math.pow(7 / 11, 30) / 3) < 1e-20);
+		
+		equal(new Ratio(BigInt(2), BigInt(4), true).toString(), "1/2");
+		equal(new Ratio(BigInt(-7), BigInt(2)).toLocaleString(), "-3 1/2");
+		equal(new Ratio(2, 3, false, true).pow(3).toString(), "8/27");
+		equal(new Ratio(BigInt(10)).pow(30).toString(), "1000000000000000000000000000000/1");
+		equal(new Ratio(BigInt(10)).pow(30).nthRoot(3).toString(), "10000000000/1");
+		equal(new Ratio(BigInt("12345678901234567890123")).pow(2).sqrt().toString(), "12345678901234567890123/1");
+		equal(new Ratio(BigInt("12345678901234567890123")).sqrt(1e-30).toString(), "77097472174741261726022187/693877252695119");
+		equal(Ratio.gcd(BigInt(20), 12), BigInt(4));
+		equal(Ratio.getStandardRatioArray(-10, -20, true, true).join(","), "1,2");
+	});
+	test("test Ratio.useBigInt", function () {
+		if (typeof BigInt !== "function") {
+			ok(true, "BigInt isn't supported.");
+			return;
+		}
+		Ratio.useBigInt = true;
+		try {
+			equal(Ratio.parse("1/3").add("0.125").toString(), "1375/3000");
+			equal(typeof Ratio.parse("1/3").toArray()[0], "bigint");
+			equal(Ratio.parse(1e23).toString(), "100000000000000000000000/1");
+			equal(new Ratio(1, 0).valueOf(), Infinity);
+			equal(new Ratio("x").toString(), "NaN/1");
+		} finally {
+			Ratio.useBigInt = false;
+		}
+		equal(new Ratio(1, 2).useBigInt, false);
+	});
+	
+	test("test Ratio.autoPromote", function () {
+		if (typeof BigInt !== "function") {
+			ok(true, "BigInt isn't supported.");
+			return;
+		}
+		var a = new Ratio(123456789, 987654321),
+		b = a.multiply(a).multiply(a),
+		c = b.divide(a).divide(a);
+		
+		equal(b.toString(), "1881676371789154860897069/963418328693495609108518161");
+		equal(typeof b.toArray()[0], "bigint");
+		equal(b.useBigInt, false);
+		equal(c.simplify().toString(), "13717421/109739369");
+		equal(typeof c.simplify().toArray()[0], "number");
+		equal(new Ratio(3).pow(40).toString(), "12157665459056928801/1");
+		equal(new Ratio(2, 3).scale(9007199254740991).toString(), "18014398509481982/27021597764222973");
+		deepEqual(new Ratio(1, 3).add(1, 6).toArray(), [3, 6], "small values stay as Numbers.");
+		equal(new Ratio(1e20, 3).multiply(1e20).toString(), "1e+40/3", "estimated values aren't promoted.");
+		
+		Ratio.autoPromote = false;
+		try {
+			equal(a.multiply(a).multiply(a).toString(), "1.8816763717891548e+24/9.634183286934956e+26");
+		} finally {
+			Ratio.autoPromote = true;
+		}
+	});
+	test("test Ratio.autoPromote with powers", function () {
+		if (typeof BigInt !== "function") {
+			ok(true, "BigInt isn't supported.");
+			return;
+		}
+		var a = new Ratio(10).pow(309);
+		equal(typeof a.toArray()[0], "bigint");
+		equal(a.toString(), "1" + new Array(310).join("0") + "/1");
+		equal(new Ratio(10).pow(-309).toString(), "1/1" + new Array(310).join("0"));
+		equal(Ratio.evaluate("10^400 / 10^399").toString(), "10/1");
+		equal(new Ratio(1e18).pow(2).toString(), "1" + new Array(37).join("0") + "/1");
+		raises(function () {
+			new Ratio(Math.pow(2, 60)).pow(20000000);
+		}, RangeError);
+		raises(function () {
+			new Ratio(BigInt(3)).pow(Ratio.MAX_BIT_LENGTH);
+		}, RangeError);
+		equal(new Ratio(1).pow(Ratio.MAX_BIT_LENGTH * 2).toString(), "1/1");
+	});
+	test("test Ratio.autoPromote with scientific notation", function () {
+		if (typeof BigInt !== "function") {
+			ok(true, "BigInt isn't supported.");
+			return;
+		}
+		equal(Ratio.parse("1e400").toString(), "1" + new Array(401).join("0") + "/1");
+		equal(Ratio.parse("1e-400").toString(), "1/1" + new Array(401).join("0"));
+		equal(Ratio.parse("1e400000000").toString(), "Infinity/1");
+		equal(Ratio.parse("-2.5e400000000").toString(), "-Infinity/1");
+		equal(Ratio.parse("1e-400000000").valueOf(), 0);
+		equal(Ratio.evaluate("1e30000000 + 1").toString(), "Infinity/1");
+	});
+	
+	module("Strict Mode");
+	test("test Ratio.prototype methods in strict mode", function () {
+		var getErrorName = function (a, fnName, b) {
+			a.strict = true;
+			try {
+				a[fnName](b);
+			} catch (e) {
+				return e.name;
+			}
+			return "";
+		};
+		equal(getErrorName(new Ratio(20, 30), "descale", 3), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(1, Ratio.MAX_VALUE - 1), "multiply", "1/3"), "RatioOverflowError");
+		equal(getErrorName(new Ratio(Ratio.MAX_VALUE - 1), "add", 10), "RatioOverflowError");
+		equal(getErrorName(new Ratio(3), "pow", 40), "RatioOverflowError");
+		equal(getErrorName(new Ratio(3), "pow", "1/2"), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(1, 3), "add", "1/6"), "");
+		equal(getErrorName(new Ratio(20, 30), "descale", 2), "");
+		if (typeof BigInt === "function") {
+			equal(getErrorName(new Ratio(1, Ratio.MAX_VALUE - 1, false, true), "multiply", "1/3"), "");
+			equal(getErrorName(new Ratio(1, 3, false, true), "descale", 2), "RatioPrecisionError");
+		}
+		equal(getErrorName(new Ratio(7, 2), "mod", 0), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(7, 2), "mod", 2), "");
+		equal(getErrorName(new Ratio(7, 2), "remainder", 0), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(7, 2), "intDiv", 0), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(7, 2), "intDiv", 2), "");
+		equal(getErrorName(new Ratio(NaN), "round"), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(7, 2), "round"), "");
+		equal(getErrorName(new Ratio(1, 3), "roundTo", Ratio.MAX_VALUE * 4), "RatioOverflowError");
+		equal(getErrorName(new Ratio(1, 3), "roundTo", 100), "");
+		equal(getErrorName(new Ratio(2), "nthRoot", 0), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(8), "nthRoot", 3), "");
+		equal(getErrorName(new Ratio(-4), "sqrt"), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(9, 4), "sqrt"), "");
+		equal(getErrorName(new Ratio(NaN), "negate"), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(-Ratio.MAX_VALUE), "negate"), "");
+		equal(getErrorName(new Ratio(NaN), "abs"), "RatioPrecisionError");
+		equal(getErrorName(new Ratio(-1, 3), "abs"), "");
+		equal(getErrorName(new Ratio(1, 3), "toQuantityOf", 1e300), "RatioOverflowError");
+		equal(getErrorName(new Ratio(1, 3), "toQuantityOf", 6), "");
+	});
+	test("test Ratio() and Ratio.parse() in strict mode", function () {
+		var getError = function (fn) {
+			try {
+				fn();
+			} catch (e) {
+				return e.name + ": " + e.message;
+			}
+			return "";
+		};
+		Ratio.strict = true;
+		try {
+			equal(getError(function () {
+					return new Ratio(1.5, 2);
+				}), "RatioPrecisionError: Ratio(1.5, 2) has a numerator or denominator that isn't a whole number.");
+			equal(getError(function () {
+					return Ratio(Ratio.MAX_VALUE * 4);
+				}), "RatioOverflowError: Ratio(36028797018963970) has a numerator or denominator outside of Ratio.MIN_VALUE and Ratio.MAX_VALUE.");
+			equal(getError(function () {
+					return Ratio.parse("apples");
+				}), "RatioPrecisionError: Ratio.parse(\"apples\") has a numerator or denominator that isn't a whole number.");
+			equal(getError(function () {
+					return Ratio.parse(1e300, 3);
+				}), "RatioOverflowError: Ratio.parse(1e+300, 3) has a numerator or denominator outside of Ratio.MIN_VALUE and Ratio.MAX_VALUE.");
+			equal(getError(function () {
+					return new Ratio(1, 2);
+				}), "");
+			equal(Ratio.parse("0.25").toString(), "25/100");
+			equal(Ratio.parse("1/3").add("1/6").simplify().toString(), "1/2");
+		} finally {
+			Ratio.strict = false;
+		}
+	});
+	test("test static functions in strict mode", function () {
+		Ratio.strict = true;
+		try {
+			equal(Ratio.min(1, 2).toString(), "1/1");
+			equal(Ratio.max(1, "1/2").toString(), "1/1");
+			equal(Ratio.min("apples", 2).toString(), "NaN/1");
+			equal(Ratio.evaluate("1 +").toString(), "NaN/1");
+			equal(Ratio.evaluate("x + 1").toString(), "NaN/1");
+			equal(Ratio.evaluate("abs(x)").toString(), "NaN/1");
+			equal(Ratio.evaluate("1/3 + 1/6").toString(), "1/2");
+			equal(Ratio.solve("x = ").toString(), "NaN/1");
+			equal(Ratio.solve("3x + 1/2 = 5/6").toString(), "1/9");
+			equal(Ratio.exp("apples").toString(), "NaN/1");
+			equal(Ratio.fromContinuedFraction([]).toString(), "NaN/1");
+			equal(Ratio.Formatter.prototype.format("apples"), "NaN/1");
+		} finally {
+			Ratio.strict = false;
+		}
+	});
+	test("test Ratio.sqrt(), Ratio.exp(), Ratio.ln() and Ratio.pi() in strict mode", function () {
+		var calls = [
+			[Ratio.sqrt, 2, "1e-20"],
+			[Ratio.exp, 5],
+			[Ratio.exp, 1, 0.001],
+			[Ratio.ln, 3],
+			[Ratio.ln, 2, 0.001],
+			[Ratio.pi, "1e-30"],
+			[Ratio.pi]
+		],
+		expected = [],
+		i;
+		for (i = 0; i < calls.length; i += 1) {
+			expected.push(calls[i][0](calls[i][1], calls[i][2]).toString());
+		}
+		Ratio.strict = true;
+		try {
+			for (i = 0; i < calls.length; i += 1) {
+				equal(calls[i][0](calls[i][1], calls[i][2]).toString(), expected[i]);
+			}
+			equal(Ratio(2).sqrt("1e-20").toString(), expected[0]);
+			equal(Ratio.ln(-1).toString(), "NaN/1");
+		} finally {
+			Ratio.strict = false;
+		}
+	});
+	test("test strict mode errors", function () {
+		var a = new Ratio(20, 30),
+		err;
+		a.strict = true;
+		equal(a.add(1).strict, true);
+		try {
+			a.descale(3);
+		} catch (e) {
+			err = e;
+		}
+		ok(err instanceof Ratio.RatioPrecisionError);
+		ok(err instanceof Error);
+		equal(err.operation, "descale");
+		equal(err.operands[0], a);
+		equal(err.message, "Ratio(20/30).descale(3/1) has a numerator or denominator that isn't a whole number.");
+		
+		Ratio.strict = true;
+		try {
+			equal(new Ratio(1, 2).strict, true);
+		} finally {
+			Ratio.strict = false;
+		}
+		equal(new Ratio(1, 2).strict, false);
+	});
+	
+	module("Best Approximation");
+	test("test Ratio.prototype.limitDenominator()", function () {
+		var func = function (a, max) {
+			return Ratio.parse(a).limitDenominator(max).toString();
+		};
+		equal(func(Math.PI, 1000), "355/113");
+		equal(func(Math.PI, 100), "311/99");
+		equal(func(Math.PI, 10), "22/7");
+		equal(func(Math.PI), "3126535/995207");
+		equal(func(-Math.PI, 1000), "-355/113");
+		equal(func("0.3333", 100), "1/3");
+		equal(func("3/7", 1), "0/1");
+		equal(func("1/3", 10), "1/3");
+		equal(new Ratio(0.11, 0.3).limitDenominator(10).toString(), "3/8");
+		equal(func("1/3", 0), "NaN/1");
+		equal(new Ratio(1, 0).limitDenominator(3).toString(), "1/0");
+	});
+	test("test Ratio.bestApproximation()", function () {
+		var func = function (a, options) {
+			return Ratio.bestApproximation(a, options).toString();
+		};
+		equal(func(Math.PI, {maxDenominator : 1000}), "355/113");
+		equal(func(Math.PI, {tolerance : 0.01}), "22/7");
+		equal(func(Math.PI, {tolerance : "1/1000"}), "201/64");
+		equal(func("3/7", {tolerance : 0.05}), "2/5");
+		equal(func("-3/7", {tolerance : 0.05}), "-2/5");
+		equal(func(0.3, {tolerance : 0.5}), "0/1");
+		equal(func(Math.PI, {tolerance : 0.01, maxDenominator : 5}), "16/5");
+		equal(func(0.1), "1/10");
+		equal(func("2/4"), "1/2");
+		equal(func("apples"), "NaN/1");
+	});
+	test("test Ratio.prototype.limitDenominator() and Ratio.bestApproximation() in strict mode", function () {
+		Ratio.strict = true;
+		try {
+			equal(Ratio.parse(Math.PI).limitDenominator(1000).toString(), "355/113");
+			equal(Ratio.bestApproximation(Math.PI, {maxDenominator : 1000}).toString(), "355/113");
+			equal(Ratio.bestApproximation(Math.PI, {tolerance : 0.01}).toString(), "22/7");
+			equal(Ratio.bestApproximation("1/3", {tolerance : 0.1}).toString(), "1/3");
+		} finally {
+			Ratio.strict = false;
+		}
+	});
+	
+	module("Continued Fractions");
+	test("test Ratio.prototype.toContinuedFraction()", function () {
+		var func = function (a, b) {
+			return Ratio.parse(a, b).toContinuedFraction().join(",");
+		};
+		equal(func(355, 113), "3,7,16");
+		equal(func(-7, 3), "-3,1,2");
+		equal(func(0, 5), "0");
+		equal(func(7, 1), "7");
+		equal(func(Math.PI).indexOf("3,7,15,1,292,"), 0);
+		equal(func(1, 0), "");
+		equal(func("apples"), "");
+	});
+	test("test Ratio.fromContinuedFraction()", function () {
+		var func = function (terms) {
+			return Ratio.fromContinuedFraction(terms).toString();
+		};
+		equal(func([3, 7, 15, 1]), "355/113");
+		equal(func([-3, 1, 2]), "-7/3");
+		equal(func(["0", "2"]), "1/2");
+		equal(func([5]), "5/1");
+		equal(func([]), "NaN/1");
+		equal(Ratio.fromContinuedFraction(Ratio.parse(Math.PI).toContinuedFraction()).equals(Math.PI), true);
+	});
+	test("test Ratio.prototype.convergents()", function () {
+		var it = Ratio.parse(Math.PI).convergents(),
+		arr = [],
+		next;
+		for (next = it.next(); !next.done && arr.length < 5; next = it.next()) {
+			arr.push(next.value.toString());
+		}
+		equal(arr.join(","), "3/1,22/7,333/106,355/113,103993/33102");
+		
+		it = new Ratio(1, 2).convergents();
+		equal(it.next().value.toString(), "0/1");
+		equal(it.next().value.toString(), "1/2");
+		equal(it.next().done, true);
+		equal(new Ratio(1, 0).convergents().next().done, true);
+	});
+	
+	module("Rational Approximations");
+	test("test Ratio.sqrt()", function () {
+		equal(Ratio.sqrt("9/4").toString(), "3/2");
+		equal(Ratio.sqrt(2, 0.001).toString(), "41/29");
+		equal(Ratio.sqrt(-2).toString(), "NaN/1");
+	});
+	test("test Ratio.exp()", function () {
+		var a = Ratio.exp(1, 1e-12);
+		
+		equal(Ratio.exp(1, 0.001).toString(), "106/39");
+		equal(Ratio.exp(0).toString(), "1/1");
+		ok(a.greaterThan(27182818284580, 1e13) && a.lessThan(27182818284600, 1e13), "e = 2.71828182845904...");
+		ok(Math.abs(Ratio.exp(-3, 1e-6).valueOf() - Math.exp(-3)) <= 1e-6);
+		ok(Math.abs(Ratio.exp("5/2").valueOf() - Math.exp(2.5)) <= 1e-10);
+		equal(Ratio.exp("a").toString(), "NaN/1");
+		equal(Ratio.exp(1, 0).toString(), "NaN/1");
+	});
+	test("test Ratio.ln()", function () {
+		equal(Ratio.ln(2, 0.001).toString(), "43/62");
+		equal(Ratio.ln(1).toString(), "0/1");
+		ok(Math.abs(Ratio.ln(1000, 1e-8).valueOf() - Math.log(1000)) <= 1e-8);
+		ok(Math.abs(Ratio.ln("1/1000", 1e-8).valueOf() + Math.log(1000)) <= 1e-8);
+		ok(Ratio.ln(Ratio.exp(3, 1e-20), 1e-12).subtract(3).abs().lessThanOrEqual(1, 1e12));
+		equal(Ratio.ln(0).toString(), "NaN/1");
+		equal(Ratio.ln(-1).toString(), "NaN/1");
+	});
+	test("test Ratio.pi()", function () {
+		var a = Ratio.pi(1e-12);
+		
+		equal(Ratio.pi(0.01).toString(), "22/7");
+		equal(Ratio.pi(1e-6).toString(), "355/113");
+		ok(a.greaterThan(3141592653588, 1e12) && a.lessThan(3141592653591, 1e12), "pi = 3.14159265358979...");
+		equal(Ratio.pi(0).toString(), "NaN/1");
+	});
+	
+	module("Expression Evaluation");
+	test("test Ratio.evaluate()", function () {
+		var func = function (str) {
+			return Ratio.evaluate(str).toString();
+		};
+		equal(func("(1/3 + 1/6) * 2 - 3 1/4"), "-9/4");
+		equal(func("1/3 + 1/6"), "1/2");
+		equal(func("10/4/5"), "1/2");
+		equal(func("2 + 3 * 4"), "14/1");
+		equal(func("(2 + 3) * 4"), "20/1");
+		equal(func("2^3^2"), "512/1");
+		equal(func("-2^2"), "-4/1");
+		equal(func("2^-2 + 0.5"), "3/4");
+		equal(func("4^(1/2)"), "2/1");
+		equal(func("2*-3"), "-6/1");
+		equal(func("-(1/2) + +1"), "1/2");
+		equal(func(".5 + .25"), "3/4");
+		equal(func("1.5e3 / 4"), "375/1");
+		equal(func("1e-3"), "1/1000");
+		equal(func("3 1 / 4 * 4"), "13/1");
+		equal(func("1 + 3 1/4"), "17/4");
+		equal(func("1/(2 3/4)"), "4/11");
+		equal(func("2(3 + 1)"), "8/1");
+		equal(func("(1/2)(4)"), "2/1");
+		equal(func("0.(3) + 1/3"), "2/3");
+		equal(func("0.1(6) * 6"), "1/1");
+		equal(func("2 * 0.[3] + 1"), "5/3");
+		equal(func(new Array(100).join("(") + "1" + new Array(100).join(")")), "1/1");
+		equal(func(new Array(Ratio.MAX_EXPRESSION_DEPTH + 1).join("(") + "1" + new Array(Ratio.MAX_EXPRESSION_DEPTH + 1).join(")")), "1/1");
+		equal(func(new Array(1001).join("1+") + "1"), "1001/1");
+		equal(func(new Array(20001).join("1-") + "1"), "-19999/1");
+	});
+	test("test Ratio.evaluate() with invalid expressions", function () {
+		var func = function (str) {
+			return Ratio.evaluate(str).toString();
+		};
+		equal(func(""), "NaN/1");
+		equal(func("1 +"), "NaN/1");
+		equal(func("((1)"), "NaN/1");
+		equal(func("(1))"), "NaN/1");
+		equal(func("2 3"), "NaN/1");
+		equal(func("abc"), "NaN/1");
+		equal(func(), "NaN/1");
+		equal(func("2.(1 + 1)"), "NaN/1");
+		equal(func("1/2 3/4"), "NaN/1");
+		equal(func("2^(1/2)"), "NaN/1");
+		equal(func("2^0.5 * 0"), "NaN/1");
+		equal(func("1 / 2 3/4"), "NaN/1");
+		if (typeof BigInt === "function") {
+			equal(func("2^1000000000"), "NaN/1");
+		}
+		equal(func("2^1000000000 - 2^1000000000"), "NaN/1");
+		equal(func(new Array(20001).join("(") + "1" + new Array(20001).join(")")), "NaN/1");
+		equal(func(new Array(20001).join("-") + "1"), "NaN/1");
+		equal(func(new Array(Ratio.MAX_EXPRESSION_DEPTH + 2).join("(") + "1" + new Array(Ratio.MAX_EXPRESSION_DEPTH + 2).join(")")), "NaN/1");
+		equal(Ratio.solve(new Array(20001).join("(") + "x = 1" + new Array(20001).join(")")).toString(), "NaN/1");
+	});
+	test("test Ratio.compile()", function () {
+		var f = Ratio.compile("a/b + 1/2"),
+		g = Ratio.compile("2 +");
+		
+		equal(typeof f, "function");
+		equal(f({a : 1, b : 3}).toString(), "5/6");
+		equal(f({a : "1/2", b : 0.25}).toString(), "5/2");
+		equal(f({a : Ratio(2, 3), b : "1 1/3"}).toString(), "1/1");
+		ok(isNaN(f({a : 1})), "undefined variables are NaN.");
+		ok(isNaN(Ratio.compile("constructor")({})), "inherited properties aren't variables.");
+		equal(g({}).toString(), "NaN/1");
+		equal(Ratio.evaluate("x / 2", {x : 3}).toString(), "3/2");
+	});
+	test("test Ratio.functions", function () {
+		var func = function (str, scope) {
+			return Ratio.evaluate(str, scope).toString();
+		};
+		equal(func("max(x, 1/2) - abs(y)", {x : "1/3", y : -0.25}), "1/4");
+		equal(func("min(1/2, 1/3, 3/4)"), "1/3");
+		equal(func("floor(7/2) + ceil(1/3) + round(5/2)"), "7/1");
+		equal(func("reciprocal(4) + negate(1/2)"), "-1/4");
+		equal(func("mod(7/2, 2/3)"), "1/6");
+		equal(func("sqrt(9/16)"), "3/4");
+		equal(func("foo(1)"), "NaN/1");
+		equal(func("abs()"), "NaN/1");
+		equal(func("abs(1,)"), "NaN/1");
+		
+		Ratio.functions.half = function (x) {
+			return x.divide(2);
+		};
+		try {
+			equal(func("half(3)"), "3/2");
+		} finally {
+			delete Ratio.functions.half;
+		}
+		equal(func("half(3)"), "NaN/1");
+	});
+	
+	module("Solving Equations");
+	test("test Ratio.solve()", function () {
+		var func = function (str, scope) {
+			return Ratio.solve(str, scope).toString();
+		};
+		equal(func("3x + 1/2 = 5/6"), "1/9");
+		equal(func("2(y - 1) = y/4"), "8/7");
+		equal(func("1/2x = 3"), "6/1");
+		equal(func("5/6 = 1/2 + 3x"), "1/9");
+		equal(func("0.5x - 1.25 = 2 1/4"), "7/1");
+		equal(func("1/x + 1 = 3"), "1/2");
+		equal(func("(x + 1)/(x - 1) = 3"), "2/1");
+		equal(func("x^-1 = 4"), "1/4");
+		equal(func("abs(-2)x = 1"), "1/2");
+		equal(func("a*x = b", {a : "2/3", b : 4}), "6/1");
+		equal(func("x = "), "NaN/1");
+		equal(func("x = 1 = 2"), "NaN/1");
+		equal(func(), "NaN/1");
+	});
+	test("test Ratio.solve() errors", function () {
+		var func = function (str) {
+			try {
+				Ratio.solve(str);
+			} catch (e) {
+				return (e instanceof Ratio.RatioSolveError) && e.message;
+			}
+			return "no error";
+		};
+		equal(func("x + 1 = x"), "Ratio.solve(\"x + 1 = x\") has no solution.");
+		equal(func("1/x = 0"), "Ratio.solve(\"1/x = 0\") has no solution.");
+		equal(func("2x = x + x"), "Ratio.solve(\"2x = x + x\") has infinitely many solutions.");
+		equal(func("x^2 = 4"), "Ratio.solve(\"x^2 = 4\") isn't linear in x.");
+		equal(func("x*y = 4"), "Ratio.solve(\"x*y = 4\") needs exactly one unknown, but has 2.");
+		equal(func("4 = 4"), "Ratio.solve(\"4 = 4\") needs exactly one unknown, but has 0.");
+	});
+	test("test Ratio.solveProportion()", function () {
+		var func = function (str, scope) {
+			return Ratio.solveProportion(str, scope).toString();
+		};
+		equal(func("3/4 = 6/x"), "8/1");
+		equal(func("x/20 = 1/4"), "5/1");
+		equal(func("x:20 :: 1:4"), "5/1");
+		equal(func("3 : 4 = x : 10"), "15/2");
+		equal(func("a/b = c/x", {a : 1, b : 2, c : 3}), "6/1");
+		equal(func("1:2:3 = x"), "NaN/1");
+		raises(function () {
+			Ratio.solveProportion("0/x = 0/1");
+		}, Ratio.RatioSolveError);
+	});
+	
+	module("Exact Float Conversion");
+	test("test Ratio.fromFloatExact()", function () {
+		var func = function (a) {
+			return Ratio.fromFloatExact(a).toString();
+		};
+		equal(func(0.375), "3/8");
+		equal(func(-1.5), "-3/2");
+		equal(func(3), "3/1");
+		equal(func(-0), "0/1");
+		equal(func(NaN), "NaN/1");
+		equal(func(Infinity), "Infinity/1");
+		equal(func(0.5e-300), Ratio.fromFloatExact(0.5e-300).toString());
+		if (typeof BigInt === "function") {
+			equal(func(0.1), "3602879701896397/36028797018963968");
+			equal(func(1e23), "99999999999999991611392/1");
+			equal(func(5e-324), "1/" + BigInt("0b1" + new Array(1075).join("0")).toString());
+		}
+	});
+	test("test Ratio.fromFloat32Exact()", function () {
+		equal(Ratio.fromFloat32Exact(0.5).toString(), "1/2");
+		equal(Ratio.fromFloat32Exact(0.1).toString(), "13421773/134217728");
+		equal(Ratio.fromFloat32Exact(16777217).toString(), "16777216/1");
+	});
+	test("test Ratio.prototype.toNumber()", function () {
+		var values = [0.1, -2 / 3, 1e-310, 5e-324, 1.7976931348623157e308, Math.PI, 123456789.123],
+		i;
+		for (i = 0; i < values.length; i++) {
+			equal(Ratio.fromFloatExact(values[i]).toNumber(), values[i], "round trip of " + values[i]);
+		}
+		equal(Ratio(1, 3).toNumber(), 1 / 3);
+		equal(Ratio(1, 0).toNumber(), Infinity);
+		equal(Ratio(1.5, 2).toNumber(), 0.75);
+		if (typeof BigInt === "function") {
+			var big = BigInt("1" + new Array(401).join("0"));
+			equal(Ratio(BigInt("9007199254740993"), BigInt("9007199254740994")).toNumber(), 0.9999999999999999);
+			equal(Ratio(BigInt("9007199254740993"), BigInt("9007199254740992")).toNumber(), 1, "ties round to even.");
+			equal(Ratio(BigInt(1), big).toNumber(), 0);
+			equal(Ratio(big, BigInt(3)).toNumber(), Infinity);
+			equal(Ratio(big, BigInt(3) * big).toNumber(), 1 / 3);
+		}
+	});
+	
 	module("Common.js Support");
 	test("test Nodes.js( NPM ) support", function () {
 		ok(exports.Ratio === Ratio, "The Ratio object is the export object.");